@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const fixtureStore = require('../src/services/fixtureStore');
+const { scrapeSoldListings, fetchActiveListings } = require('../src/services/listingSearch');
+const { SEARCH_OPTIONS, parseSearch } = require('../src/services/searchOptions');
+const { getMarketplace, formatPrice } = require('../src/services/marketplaces');
+const { marketMetrics } = require('../src/analytics/marketSummary');
+const { browserPool } = require('../src/services/browserPool');
+const { formatCsv } = require('../src/utils/csv');
+const { timeoutController } = require('../src/utils/abort');
+
+// Market analysis from the command line, without the server.
+//
+// Runs the same sold scrape, Browse API search and analytics as the server's
+// market summary for each keyword, one keyword after another, and prints a
+// table, JSON or CSV on stdout. Progress and the modules' logs go to stderr
+// (logs only with --verbose). Exits 1 when a search fails, stopping at the
+// first authentication failure, and 2 on invalid arguments.
+
+const USAGE = `Usage: ebay-examen analyze [keywords...] [options]
+
+Each keywords argument is one search; quote multi-word keywords.
+
+Options:
+  --file <path>         Also read keywords from a file, one per line ("-" for stdin;
+                        blank lines and lines starting with # are skipped)
+  --source <sources>    sold, active or sold,active (default)
+  --format <format>     table (default), json or csv
+  --verbose             Log scraping and API progress to stderr
+  --help                Show this help
+
+Search options are those of the API routes, written as flags:
+  --marketplace uk --condition used --max-price 50 --sample-size 300 --price-basis landed`;
+
+const SOURCES = ['sold', 'active'];
+const FORMATS = ['table', 'json', 'csv'];
+const CLI_OPTIONS = ['file', 'source', 'format', 'verbose', 'help'];
+const SEARCH_TIMEOUT = 4 * 60 * 1000; // Per keyword, as the server's sold scrape budget
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// Output columns, each [header, sources it needs, value of a result]
+const COLUMNS = [
+    ['keywords', [], result => result.keywords],
+    ['soldTotal', ['sold'], result => side(result.sold, 'totalSold')],
+    ['soldMedian', ['sold'], result => side(result.sold, 'median')],
+    ['soldAverage', ['sold'], result => side(result.sold, 'average')],
+    ['activeTotal', ['active'], result => side(result.active, 'totalActive')],
+    ['activeMedian', ['active'], result => side(result.active, 'median')],
+    ['activeAverage', ['active'], result => side(result.active, 'average')],
+    ['sellThroughRate', ['sold', 'active'], result => result.metrics.sellThroughRate],
+    ['monthsOfSupply', ['sold', 'active'], result => result.metrics.monthsOfSupply],
+    ['priceGapPercent', ['sold', 'active'], result => result.metrics.priceGap ? result.metrics.priceGap.percent : null],
+    ['error', [], result => result.errors.map(error => `${error.source}: ${error.message}`).join('; ') || null]
+];
+const PRICE_COLUMNS = ['soldMedian', 'soldAverage', 'activeMedian', 'activeAverage'];
+
+// Errors that end the run with `exitCode`
+function cliError(message, exitCode) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+// Field of a side's payload, or its price statistic (null when the side failed or wasn't searched)
+function side(payload, field) {
+    if (!payload || !payload.success) {
+        return null;
+    }
+    return payload[field] !== undefined ? payload[field] : payload.analytics.total[field];
+}
+
+// "sample-size" -> "sampleSize"
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// { command, keywords, options, search } from the arguments after "node ebay-examen.js".
+// A flag without a value (followed by another flag or nothing) is "true"; unknown flags throw
+function parseArgs(args) {
+    const keywords = [];
+    const values = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            keywords.push(arg);
+            continue;
+        }
+        const [flag, inline] = arg.slice(2).split(/=(.*)/s);
+        if (!CLI_OPTIONS.includes(camelCase(flag)) && !SEARCH_OPTIONS.includes(camelCase(flag))) {
+            throw cliError(`Unknown option "--${flag}"\n\n${USAGE}`, EXIT_USAGE);
+        }
+        const next = args[i + 1];
+        const value = inline !== undefined ? inline : next !== undefined && !next.startsWith('--') ? args[++i] : 'true';
+        values[camelCase(flag)] = value;
+    }
+
+    const options = {};
+    const search = {};
+    Object.keys(values).forEach(name => {
+        (CLI_OPTIONS.includes(name) ? options : search)[name] = values[name];
+    });
+    return { command: keywords.shift(), keywords, options, search };
+}
+
+// Keywords from a file (or stdin for "-"), one per line
+function readKeywordFile(file) {
+    let contents;
+    try {
+        contents = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (error) {
+        throw cliError(`Could not read keywords file: ${error.message}`, EXIT_USAGE);
+    }
+    return contents.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+function parseList(value, allowed, name) {
+    const list = String(value).toLowerCase().split(',').map(entry => entry.trim()).filter(Boolean);
+    const invalid = list.filter(entry => !allowed.includes(entry));
+    if (list.length === 0 || invalid.length > 0) {
+        throw cliError(`Invalid ${name} "${value}" (expected ${allowed.join(', ')})`, EXIT_USAGE);
+    }
+    return list;
+}
+
+// OAuth failures: the token request was refused, or the API rejected the token
+function isAuthError(error) {
+    const status = error.response && error.response.status;
+    const url = error.config && error.config.url;
+    return status === 401 || status === 403 || (status !== undefined && /oauth2\/token/.test(url || ''));
+}
+
+// One side of the analysis; a failure becomes { success: false, message, auth }
+async function searchSide(fn, keywords, search, signal) {
+    try {
+        return await fn(keywords, { signal, ...search });
+    } catch (error) {
+        const message = error.response?.data?.error_description || error.response?.data?.message || error.message;
+        return { success: false, message: message, auth: isAuthError(error) };
+    }
+}
+
+// Sold and/or active analysis of one keyword within the time budget, aborting early when `signal` does
+async function analyze(keywords, search, sources, signal) {
+    const controller = timeoutController(SEARCH_TIMEOUT, `Search timed out after ${SEARCH_TIMEOUT / 60000} minutes`);
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        const [sold, active] = await Promise.all([
+            sources.includes('sold') ? searchSide(scrapeSoldListings, keywords, search, controller.signal) : null,
+            sources.includes('active') ? searchSide(fetchActiveListings, keywords, search, controller.signal) : null
+        ]);
+        const errors = [['sold', sold], ['active', active]]
+            .filter(([, payload]) => payload && !payload.success)
+            .map(([source, payload]) => ({ source: source, message: payload.message, auth: payload.auth }));
+        const succeeded = [sold, active].filter(payload => payload && payload.success);
+
+        const result = {
+            keywords: keywords,
+            success: errors.length === 0,
+            marketplace: search.marketplace,
+            currency: succeeded.length > 0 ? succeeded[0].currency : undefined,
+            metrics: marketMetrics(sold && sold.success ? sold : null, active && active.success ? active : null),
+            errors: errors.map(({ source, message }) => ({ source, message }))
+        };
+        if (sold) {
+            result.sold = sold;
+        }
+        if (active) {
+            result.active = active;
+        }
+        return { result, authFailed: errors.some(error => error.auth) };
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+        controller.clear();
+    }
+}
+
+function formatTable(results, columns) {
+    const cell = (result, [header, , value]) => {
+        const content = value(result);
+        if (content === null || content === undefined) {
+            return '–';
+        }
+        if (PRICE_COLUMNS.includes(header)) {
+            return formatPrice(content, result.currency, getMarketplace(result.marketplace));
+        }
+        return ['sellThroughRate', 'priceGapPercent'].includes(header) ? `${content}%` : String(content);
+    };
+    const rows = [columns.map(([header]) => header), ...results.map(result => columns.map(column => cell(result, column)))];
+    const widths = columns.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    return rows.map(row => row.map((content, i) => {
+        // Text columns read left to right, figures line up on the right
+        const left = i === 0 || columns[i][0] === 'error';
+        return left ? content.padEnd(widths[i]) : content.padStart(widths[i]);
+    }).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+function formatOutput(results, format, sources) {
+    if (format === 'json') {
+        return JSON.stringify(results, null, 2) + '\n';
+    }
+    const columns = COLUMNS.filter(([, needs]) => needs.every(source => sources.includes(source)));
+    if (format === 'csv') {
+        return formatCsv(['currency', ...columns.map(([header]) => header)], results.map(result => [result.currency, ...columns.map(([, , value]) => value(result))]));
+    }
+    return formatTable(results, columns);
+}
+
+async function main(args) {
+    const { command, keywords, options, search: searchValues } = parseArgs(args);
+    if (options.help || command === 'help') {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (command === undefined) {
+        throw cliError(`Command required\n\n${USAGE}`, EXIT_USAGE);
+    }
+    if (command !== 'analyze') {
+        throw cliError(`Unknown command "${command}"\n\n${USAGE}`, EXIT_USAGE);
+    }
+
+    const sources = parseList(options.source || SOURCES.join(','), SOURCES, 'source');
+    const format = String(options.format || 'table').toLowerCase();
+    if (!FORMATS.includes(format)) {
+        throw cliError(`Invalid format "${options.format}" (expected ${FORMATS.join(', ')})`, EXIT_USAGE);
+    }
+    if (options.file) {
+        keywords.push(...readKeywordFile(options.file));
+    }
+    if (keywords.length === 0) {
+        throw cliError(`Keywords required\n\n${USAGE}`, EXIT_USAGE);
+    }
+
+    let search;
+    try {
+        search = parseSearch(searchValues);
+    } catch (error) {
+        throw cliError(error.message, EXIT_USAGE);
+    }
+
+    if (sources.includes('active') && !fixtureStore.isReplaying() && (!process.env.EBAY_CLIENT_ID || !process.env.EBAY_CLIENT_SECRET)) {
+        throw cliError('Missing eBay OAuth credentials: set EBAY_CLIENT_ID and EBAY_CLIENT_SECRET, or search sold listings only with --source sold', EXIT_FAILED);
+    }
+
+    // Module logs would mix with the output on stdout
+    const log = console.error.bind(console);
+    console.log = options.verbose ? log : () => {};
+    console.error = options.verbose ? log : () => {};
+    console.warn = options.verbose ? log : () => {};
+
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        log('🛑 Interrupted, stopping the current search...');
+        controller.abort(new Error('Interrupted'));
+    });
+
+    const results = [];
+    let authFailed = false;
+    try {
+        for (const [index, keyword] of keywords.entries()) {
+            if (controller.signal.aborted) {
+                break;
+            }
+            log(`🔍 Analyzing "${keyword}" (${index + 1}/${keywords.length})`);
+            const analysis = await analyze(keyword, search, sources, controller.signal);
+            results.push(analysis.result);
+            analysis.result.errors.forEach(error => log(`❌ "${keyword}" ${error.source} failed: ${error.message}`));
+            if (analysis.authFailed) {
+                authFailed = true;
+                log('❌ eBay authentication failed: check EBAY_CLIENT_ID and EBAY_CLIENT_SECRET');
+                break;
+            }
+        }
+    } finally {
+        await browserPool.destroy();
+    }
+
+    await new Promise(resolve => process.stdout.write(formatOutput(results, format, sources), resolve));
+    const failed = results.filter(result => !result.success).length;
+    if (failed > 0 || authFailed || controller.signal.aborted) {
+        log(`❌ ${failed} of ${keywords.length} searches failed${results.length < keywords.length ? `, ${keywords.length - results.length} not run` : ''}`);
+        return EXIT_FAILED;
+    }
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        process.stderr.write(`❌ ${error.message}\n`);
+        process.exit(error.exitCode || EXIT_FAILED);
+    });
@@ -0,0 +1,61 @@
+// Best Offer accepted sales on sold listings.
+//
+// A sale that ended in an accepted Best Offer shows the original list price
+// struck through; what the buyer actually paid isn't shown. Those items are
+// flagged (bestOfferAccepted) and routes choose how they count with
+// ?bestOffer=estimate (default: list price times the ratio, ?bestOfferRatio=
+// or BEST_OFFER_RATIO, default 0.85) or ?bestOffer=exclude (their prices are
+// left out of the statistics, histogram and trend).
+
+const MODES = ['estimate', 'exclude'];
+const DEFAULT_RATIO = 0.85;
+
+// Read { bestOffer, bestOfferRatio } from a request query or body; throws on invalid values
+function parseBestOfferOptions(source = {}) {
+    const bestOffer = String(source.bestOffer || 'estimate').toLowerCase();
+    if (!MODES.includes(bestOffer)) {
+        throw new Error(`Invalid bestOffer "${source.bestOffer}" (expected ${MODES.join(', ')})`);
+    }
+    if (bestOffer === 'exclude') {
+        return { bestOffer };
+    }
+
+    const rawRatio = source.bestOfferRatio !== undefined && source.bestOfferRatio !== ''
+        ? source.bestOfferRatio
+        : process.env.BEST_OFFER_RATIO;
+    const bestOfferRatio = rawRatio !== undefined ? parseFloat(rawRatio) : DEFAULT_RATIO;
+    if (isNaN(bestOfferRatio) || bestOfferRatio <= 0 || bestOfferRatio > 1) {
+        throw new Error(`Invalid bestOfferRatio "${rawRatio}" (expected 0-1)`);
+    }
+    return { bestOffer, bestOfferRatio };
+}
+
+// Price a sold item counts with: the list price, or for an accepted Best Offer the
+// estimate (also stored as item.estimatedPrice) or null when those are excluded
+function soldPrice(item, listPrice, options = {}) {
+    if (!item.bestOfferAccepted) {
+        return listPrice;
+    }
+    item.estimatedPrice = options.bestOffer === 'exclude'
+        ? null
+        : Math.round(listPrice * (options.bestOfferRatio || DEFAULT_RATIO) * 100) / 100;
+    return item.estimatedPrice;
+}
+
+// Best Offer counts for the analytics
+function summarizeBestOffers(items, options = {}) {
+    const accepted = items.filter(item => item.bestOfferAccepted).length;
+    const bestOffer = options.bestOffer || 'estimate';
+    return {
+        bestOffer: bestOffer,
+        bestOfferRatio: bestOffer === 'exclude' ? null : options.bestOfferRatio || DEFAULT_RATIO,
+        acceptedItems: accepted,
+        sharePercent: items.length > 0 ? Math.round((accepted / items.length) * 1000) / 10 : 0
+    };
+}
+
+module.exports = {
+    parseBestOfferOptions,
+    soldPrice,
+    summarizeBestOffers
+};
@@ -0,0 +1,100 @@
+// Bucketed price distribution for the analytics.
+//
+// Bins are built over the prices left after outlier removal (the same ones the
+// summary statistics describe). Without options the bin width follows the
+// Freedman-Diaconis rule, rounded to a readable step (1, 2, 2.5 or 5 x 10^n);
+// callers can ask for a number of bins (?bins=) or a fixed width (?binWidth=).
+// Bin edges are multiples of the width, so histograms built with the same
+// width line up and can be compared directly.
+
+const { percentile, removeOutliers } = require('./statistics');
+
+const MAX_BINS = 50;
+const MAX_BIN_COUNT = 500; // Hard cap for caller-chosen widths
+const DEFAULT_BINS = 10; // Used when the spread is too small for Freedman-Diaconis
+
+// Read { bins, binWidth } from a request query or body; throws on invalid values
+function parseHistogramOptions(source = {}) {
+    const options = {};
+    if (source.bins !== undefined && source.bins !== '') {
+        const bins = Number(source.bins);
+        if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) {
+            throw new Error(`Invalid bins "${source.bins}" (expected 1-${MAX_BINS})`);
+        }
+        options.bins = bins;
+    }
+    if (source.binWidth !== undefined && source.binWidth !== '') {
+        const binWidth = parseFloat(source.binWidth);
+        if (isNaN(binWidth) || binWidth <= 0) {
+            throw new Error(`Invalid binWidth "${source.binWidth}"`);
+        }
+        options.binWidth = binWidth;
+    }
+    if (options.bins && options.binWidth) {
+        throw new Error('Use either bins or binWidth, not both');
+    }
+    return options;
+}
+
+// Smallest step of the form 1, 2, 2.5 or 5 x 10^n that is at least `width`
+function niceWidth(width) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(width)));
+    const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= width);
+    return step * magnitude;
+}
+
+function chooseWidth(sorted, options) {
+    const range = sorted[sorted.length - 1] - sorted[0];
+    if (options.binWidth) {
+        return options.binWidth;
+    }
+    if (options.bins) {
+        return niceWidth(Math.max(range, 0.01) / options.bins);
+    }
+
+    const iqr = percentile(sorted, 75) - percentile(sorted, 25);
+    const width = iqr > 0
+        ? 2 * iqr / Math.cbrt(sorted.length)
+        : Math.max(range, 0.01) / DEFAULT_BINS;
+    return niceWidth(Math.max(width, range / MAX_BINS, 0.01));
+}
+
+// Histogram of prices: { binWidth, bins: [{ min, max, count }], outliersExcluded }.
+// Options: outlier options (see statistics.priceStats()) plus { bins, binWidth }
+function buildHistogram(prices, options = {}) {
+    const sorted = prices.filter(price => price > 0).sort((a, b) => a - b);
+    const { kept, excluded } = removeOutliers(sorted, options);
+
+    if (kept.length === 0) {
+        return { binWidth: null, bins: [], outliersExcluded: excluded.length };
+    }
+
+    const binWidth = chooseWidth(kept, options);
+    const round = (value) => Math.round(value * 100) / 100;
+    // Bin of a price; the epsilon keeps prices on an edge (12.45 / 0.01 = 1244.999...) in the bin they start
+    const binOf = (price, from) => Math.floor((price - from) / binWidth + 1e-9);
+    const start = round(binOf(kept[0], 0) * binWidth);
+    const binCount = Math.min(binOf(kept[kept.length - 1], start) + 1, MAX_BIN_COUNT);
+
+    const bins = [];
+    for (let index = 0; index < binCount; index++) {
+        bins.push({ min: round(start + index * binWidth), max: round(start + (index + 1) * binWidth), count: 0 });
+    }
+    kept.forEach(price => {
+        const index = Math.min(binOf(price, start), bins.length - 1);
+        bins[index].count++;
+    });
+    // A small fixed width over a wide range hits the cap; the last bin then takes the rest
+    bins[bins.length - 1].max = Math.max(bins[bins.length - 1].max, round(kept[kept.length - 1]));
+
+    return {
+        binWidth: binWidth,
+        bins: bins,
+        outliersExcluded: excluded.length
+    };
+}
+
+module.exports = {
+    parseHistogramOptions,
+    buildHistogram
+};
@@ -0,0 +1,85 @@
+// Lot and bundle detection.
+//
+// "Lot of 10 Shure SM58" is one listing but ten units. The quantity is read
+// from the title (or the Browse API lotSize when present) and every item gets
+// a per-unit price. Routes choose what the analytics average over with
+// ?pricing=unit (default, each listing's price divided by its quantity) or
+// ?pricing=listing (the listing price as-is).
+
+const PRICING_MODES = ['unit', 'listing'];
+const MAX_QUANTITY = 500;
+
+// Quantity patterns, most specific first; each captures the number of units
+const QUANTITY_PATTERNS = [
+    /\b(?:lot|set|pack|bundle|box|case|bag)\s+of\s+\(?(\d{1,3})(?!\d)/,
+    /\blot\s*\(?\s*(\d{1,3})(?!\d)\s*\)?(?!\s*(?:gb|tb|mm|cm|in|inch|"|w|v|mah|hz|oz|lb)\b)/,
+    /\b(?:qty|quantity)\s*[:.]?\s*(\d{1,3})(?!\d)/,
+    /\b(\d{1,3})\s*(?:pcs|pieces|units|count|ct)\b/,
+    /\b(\d{1,3})\s*-?\s*(?:pack|pk)\b/,
+    // "4x Shure SM58" and "Shure SM58 x4": the x is written against the number, so "iPhone X 64 GB"
+    // (the model name) and magnifications ("2x teleconverter") are not read as quantities
+    /(?:^|\s)\(?(\d{1,3})\)?x\s+(?!(?:zoom|optical|magnif|tele|extender|converter|speed|slow)\w*)(?=[a-z])/,
+    /(?:^|[\s(])x(\d{1,3})(?![\da-z])(?!\s*(?:gb|tb|mm|cm|in|inch|"|w|v|mah|hz|oz|lb)\b)/,
+    /(?:^|\s)\((\d{1,3})\)(?=\s)/
+];
+const PAIR_PATTERN = /\b(?:pair|pr\.?)\s+of\b|\b(?:a|one|matched|matching)\s+pair\b|^pair\b|[,(-]\s*pair\s*\)?$/;
+const LOT_WORDS = /\b(?:lot|bundle|bulk|wholesale|job lot)\b/;
+
+// Read { pricing } from a request query or body; throws on invalid values
+function parseLotOptions(source = {}) {
+    const pricing = String(source.pricing || 'unit').toLowerCase();
+    if (!PRICING_MODES.includes(pricing)) {
+        throw new Error(`Invalid pricing "${source.pricing}" (expected ${PRICING_MODES.join(', ')})`);
+    }
+    return { pricing };
+}
+
+// Units in a listing: { quantity, lot } where lot is true for any multi-unit or "lot"/"bundle" listing
+function detectQuantity(title, lotSize) {
+    if (lotSize > 1) {
+        return { quantity: Math.min(lotSize, MAX_QUANTITY), lot: true };
+    }
+
+    const text = String(title || '').toLowerCase();
+    for (const pattern of QUANTITY_PATTERNS) {
+        const match = text.match(pattern);
+        const quantity = match ? parseInt(match[1]) : 0;
+        if (quantity > 1 && quantity <= MAX_QUANTITY) {
+            return { quantity, lot: true };
+        }
+    }
+    if (PAIR_PATTERN.test(text)) {
+        return { quantity: 2, lot: true };
+    }
+
+    // A lot with no readable size is flagged but priced as one unit
+    return { quantity: 1, lot: LOT_WORDS.test(text) };
+}
+
+// Add quantity, lot and unitPrice to an item given its listing price (unitPrice is null without a price)
+function annotateLot(item, price, lotSize) {
+    const { quantity, lot } = detectQuantity(item.title, lotSize);
+    item.quantity = quantity;
+    item.lot = lot;
+    item.unitPrice = price > 0 ? Math.round((price / quantity) * 100) / 100 : null;
+    return item;
+}
+
+// Lot counts for the analytics
+function summarizeLots(items, options = {}) {
+    const lots = items.filter(item => item.lot);
+    return {
+        pricing: options.pricing || 'unit',
+        lotItems: lots.length,
+        unitsInLots: lots.reduce((sum, item) => sum + item.quantity, 0),
+        unknownSizeLots: lots.filter(item => item.quantity === 1).length
+    };
+}
+
+module.exports = {
+    PRICING_MODES,
+    parseLotOptions,
+    detectQuantity,
+    annotateLot,
+    summarizeLots
+};
@@ -0,0 +1,100 @@
+// Market metrics derived from a sold search and an active search.
+//
+// Sold counts cover eBay's sold-listing window (90 days), so the monthly sales
+// rate is the sold total spread over three months:
+//   sellThroughRate = sold / active x 100 (as on the web UI)
+//   monthsOfSupply  = active / sold per month
+//   priceGap        = active median - sold median (and as a percent of the sold median)
+// Metrics that need a side that failed, or a zero denominator, are null.
+
+const SOLD_WINDOW_DAYS = 90;
+const DAYS_PER_MONTH = 30;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Metrics from the sold and active payloads (null for a side that failed)
+function marketMetrics(sold, active) {
+    const totalSold = sold ? sold.totalSold || 0 : null;
+    const totalActive = active ? active.totalActive || 0 : null;
+    const soldPerMonth = totalSold !== null ? totalSold / (SOLD_WINDOW_DAYS / DAYS_PER_MONTH) : null;
+
+    const soldMedian = sold ? sold.analytics.total.median : 0;
+    const activeMedian = active ? active.analytics.total.median : 0;
+    const priceGap = soldMedian > 0 && activeMedian > 0
+        ? {
+            soldMedian: soldMedian,
+            activeMedian: activeMedian,
+            amount: round(activeMedian - soldMedian, 2),
+            percent: round(((activeMedian - soldMedian) / soldMedian) * 100, 1)
+        }
+        : null;
+
+    return {
+        soldWindowDays: SOLD_WINDOW_DAYS,
+        totalSold: totalSold,
+        totalActive: totalActive,
+        soldPerMonth: soldPerMonth !== null ? round(soldPerMonth, 1) : null,
+        sellThroughRate: totalSold !== null && totalActive > 0 ? round((totalSold / totalActive) * 100, 1) : null,
+        monthsOfSupply: totalActive !== null && soldPerMonth > 0 ? round(totalActive / soldPerMonth, 1) : null,
+        priceGap: priceGap
+    };
+}
+
+// Summary response from both sides' payloads ({ success: false, message } when a side failed)
+function buildMarketSummary(keywords, sold, active) {
+    const errors = [['sold', sold], ['active', active]]
+        .filter(([, side]) => !side.success)
+        .map(([source, side]) => ({ source: source, message: side.message }));
+    const succeeded = [sold, active].filter(side => side.success);
+
+    return {
+        success: succeeded.length > 0,
+        partial: succeeded.length === 1,
+        message: errors.length === 0
+            ? `Market summary for ${keywords}`
+            : `Market summary ${succeeded.length > 0 ? 'incomplete' : 'failed'}: ${errors.map(error => `${error.source}: ${error.message}`).join('; ')}`,
+        keywords: keywords,
+        marketplace: succeeded.length > 0 ? succeeded[0].marketplace : undefined,
+        currency: succeeded.length > 0 ? succeeded[0].currency : undefined,
+        metrics: marketMetrics(sold.success ? sold : null, active.success ? active : null),
+        errors: errors,
+        sold: sold,
+        active: active
+    };
+}
+
+// Headline numbers of one side for saved search history (null when it failed)
+function sideHistory(side, total) {
+    if (!side.success) {
+        return null;
+    }
+    return {
+        total: total,
+        sampled: side.sampling ? side.sampling.sampled : undefined,
+        average: side.analytics.total.average,
+        median: side.analytics.total.median
+    };
+}
+
+// Saved search history entry for one market summary
+function historyEntry(summary, runAt = new Date().toISOString()) {
+    return {
+        runAt: runAt,
+        success: summary.success,
+        partial: summary.partial,
+        currency: summary.currency,
+        sold: sideHistory(summary.sold, summary.sold.totalSold),
+        active: sideHistory(summary.active, summary.active.totalActive),
+        sellThroughRate: summary.metrics.sellThroughRate,
+        monthsOfSupply: summary.metrics.monthsOfSupply,
+        priceGapPercent: summary.metrics.priceGap ? summary.metrics.priceGap.percent : null,
+        errors: summary.errors
+    };
+}
+
+module.exports = {
+    SOLD_WINDOW_DAYS,
+    marketMetrics,
+    buildMarketSummary,
+    historyEntry
+};
@@ -0,0 +1,74 @@
+// Price alerts: active listings priced well under the sold market.
+//
+// A price watch compares the newest active listings of a search with the
+// median sold price of the same search. A listing is a deal when the price the
+// analytics measure for it (per unit, item or landed price as the search's
+// options choose) is at most belowPercent (default 70) percent of that median.
+// Listings flagged as irrelevant never alert, nor do auctions: their current
+// bid is not a price the item can be bought at. Each listing alerts once: the
+// watch remembers the item IDs it has reported.
+
+const DEFAULT_BELOW_PERCENT = 70;
+const REPORTED_LIMIT = 5000; // Item IDs remembered per watch
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Read { belowPercent } from a request query or body; throws on invalid values
+function parseAlertOptions(source = {}) {
+    const belowPercent = source.belowPercent !== undefined && source.belowPercent !== ''
+        ? Number(source.belowPercent)
+        : DEFAULT_BELOW_PERCENT;
+    if (isNaN(belowPercent) || belowPercent <= 0 || belowPercent > 100) {
+        throw new Error(`Invalid belowPercent "${source.belowPercent}" (expected 1-100)`);
+    }
+    return { belowPercent };
+}
+
+// Deals among active items (as /api/ebay-active returns them) not reported before:
+// { threshold, deals: [{ itemId, title, price, analyticsPrice, percentOfMedian, ... }] }
+function findDeals(items, soldMedian, options = {}, reported = []) {
+    const threshold = round(soldMedian * (options.belowPercent || DEFAULT_BELOW_PERCENT) / 100, 2);
+    const seen = new Set(reported);
+    const deals = items
+        .filter(item => item.itemId && !seen.has(item.itemId))
+        .filter(item => !item.relevance || item.relevance.relevant)
+        .filter(item => item.buyingFormat !== 'auction')
+        .filter(item => item.analyticsPrice > 0 && item.analyticsPrice <= threshold)
+        .map(item => ({
+            itemId: item.itemId,
+            title: item.title,
+            price: item.price,
+            analyticsPrice: item.analyticsPrice,
+            percentOfMedian: round((item.analyticsPrice / soldMedian) * 100, 1),
+            condition: item.condition,
+            buyingFormat: item.buyingFormat,
+            link: item.link
+        }));
+    return { threshold, deals };
+}
+
+// Item IDs a watch has reported after a check, oldest dropped past the limit
+function rememberReported(reported = [], deals) {
+    return [...reported, ...deals.map(deal => deal.itemId)].slice(-REPORTED_LIMIT);
+}
+
+// Watch history entry for one check
+function alertEntry(check, runAt = new Date().toISOString()) {
+    return {
+        runAt: runAt,
+        success: true,
+        currency: check.currency,
+        soldMedian: check.soldMedian,
+        threshold: check.threshold,
+        checked: check.checked,
+        deals: check.deals,
+        webhook: check.webhook
+    };
+}
+
+module.exports = {
+    parseAlertOptions,
+    findDeals,
+    rememberReported,
+    alertEntry
+};
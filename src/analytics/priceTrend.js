@@ -0,0 +1,95 @@
+// Price-over-time trend for sold listings.
+//
+// Sales are grouped into weeks (starting Monday, UTC) across the window eBay
+// keeps sold listings for. Each week reports its sale count and median price;
+// a least-squares line through the weekly medians gives the direction.
+
+const { median } = require('./statistics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const DEFAULT_WINDOW_DAYS = 90;
+const MIN_WEEKS_FOR_DIRECTION = 3;
+const FLAT_THRESHOLD_PERCENT = 5; // Smaller changes across the window count as flat
+
+// Midnight UTC of the Monday on or before the date
+function weekStart(time) {
+    const date = new Date(time);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+function isoDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+// Weekly count and median price for sales given as [{ date: 'YYYY-MM-DD', price }].
+// Options: { windowDays, now }
+function buildWeeklyTrend(sales, options = {}) {
+    const windowDays = options.windowDays || DEFAULT_WINDOW_DAYS;
+    const now = options.now || Date.now();
+    const windowStart = now - windowDays * DAY_MS;
+
+    const dated = sales
+        .map(sale => ({ time: Date.parse(sale.date), price: sale.price }))
+        .filter(sale => !isNaN(sale.time) && sale.time >= weekStart(windowStart) && sale.time <= now && sale.price > 0);
+
+    // Every week of the window, including weeks without sales
+    const weeks = [];
+    for (let start = weekStart(windowStart); start <= now; start += WEEK_MS) {
+        const prices = dated.filter(sale => sale.time >= start && sale.time < start + WEEK_MS).map(sale => sale.price);
+        weeks.push({
+            weekStart: isoDate(start),
+            count: prices.length,
+            median: prices.length > 0 ? median(prices) : null
+        });
+    }
+
+    return {
+        interval: 'week',
+        windowDays: windowDays,
+        datedSales: dated.length,
+        undatedSales: sales.length - dated.length,
+        weeks: weeks,
+        ...trendDirection(weeks)
+    };
+}
+
+// Fit median price against week number; change is measured along the fitted line
+function trendDirection(weeks) {
+    const points = weeks
+        .map((week, index) => ({ x: index, y: week.median }))
+        .filter(point => point.y !== null);
+
+    if (points.length < MIN_WEEKS_FOR_DIRECTION) {
+        return { direction: 'insufficient data', slopePerWeek: null, changePercent: null };
+    }
+
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+    const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const slope = covariance / variance;
+
+    const first = points[0].x;
+    const last = points[points.length - 1].x;
+    const startPrice = meanY + slope * (first - meanX);
+    const changePercent = startPrice > 0 ? (slope * (last - first) / startPrice) * 100 : 0;
+
+    let direction = 'flat';
+    if (changePercent > FLAT_THRESHOLD_PERCENT) {
+        direction = 'rising';
+    } else if (changePercent < -FLAT_THRESHOLD_PERCENT) {
+        direction = 'falling';
+    }
+
+    return {
+        direction: direction,
+        slopePerWeek: Math.round(slope * 100) / 100,
+        changePercent: Math.round(changePercent * 10) / 10
+    };
+}
+
+module.exports = {
+    buildWeeklyTrend
+};
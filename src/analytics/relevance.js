@@ -0,0 +1,154 @@
+// Title relevance scoring for search results.
+//
+// eBay happily returns cases, screen protectors and "box only" listings for a
+// product search. Each item gets a score (share of the query's words found in
+// its title) and is flagged when it falls below the threshold, contains a
+// caller-supplied excluded term or looks like an accessory/part. Analytics are
+// computed over relevant items only; flagged items are still returned with
+// the reasons so they can be reviewed.
+//
+// Routes take ?exclude=term,term, ?minRelevance=0..1 (RELEVANCE_THRESHOLD) and
+// ?accessories=include to turn the accessory dictionary off.
+
+const DEFAULT_THRESHOLD = 0.6;
+
+// Listing words that mean "not the item itself" unless the query asks for them
+const ACCESSORY_TERMS = [
+    'case', 'cover', 'skin', 'sleeve', 'pouch', 'bag', 'strap', 'sticker', 'decal',
+    'screen protector', 'tempered glass', 'lens protector', 'privacy glass',
+    'charger', 'charging cable', 'cable', 'adapter', 'power supply', 'dock',
+    'stand', 'mount', 'holder', 'clip', 'windscreen', 'pop filter', 'foam',
+    'replacement', 'housing', 'back glass', 'digitizer', 'battery door', 'grille',
+    'box only', 'empty box', 'original box', 'manual only', 'manual', 'for parts', 'parts only',
+    'parts', 'repair', 'broken', 'read description'
+];
+
+// Words that introduce an included extra ("with case") rather than the listing's subject
+const INCLUDED_EXTRA = /(?:\bwith|\bw\/|\bincl\.?|\bincludes|\bincluding|\band|\+|&)\s*$/;
+
+const STOP_WORDS = ['the', 'a', 'an', 'and', 'or', 'of', 'for', 'with', 'in', 'on'];
+
+// Read { exclude, minRelevance, accessories } from a request query or body; throws on invalid values
+function parseRelevanceOptions(source = {}) {
+    const exclude = (Array.isArray(source.exclude) ? source.exclude : String(source.exclude || '').split(','))
+        .map(term => String(term).trim().toLowerCase())
+        .filter(Boolean);
+
+    const rawThreshold = source.minRelevance !== undefined && source.minRelevance !== ''
+        ? source.minRelevance
+        : process.env.RELEVANCE_THRESHOLD;
+    const minRelevance = rawThreshold !== undefined ? parseFloat(rawThreshold) : DEFAULT_THRESHOLD;
+    if (isNaN(minRelevance) || minRelevance < 0 || minRelevance > 1) {
+        throw new Error(`Invalid minRelevance "${rawThreshold}" (expected 0-1)`);
+    }
+
+    const accessories = String(source.accessories || 'exclude').toLowerCase();
+    if (accessories !== 'exclude' && accessories !== 'include') {
+        throw new Error(`Invalid accessories "${source.accessories}" (expected exclude, include)`);
+    }
+
+    return { exclude: [...new Set(exclude)].sort(), minRelevance, accessories };
+}
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Letters and digits only, so "SM-58" matches "sm58"
+function compact(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether the title has the word/phrase other than as an included extra ("with case")
+function findTerm(title, term) {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, 'gu');
+    let match;
+    while ((match = pattern.exec(title)) !== null) {
+        if (!INCLUDED_EXTRA.test(title.slice(0, match.index + match[1].length))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Score one title against the query: { score, relevant, reasons }
+function scoreTitle(title, query, options = {}) {
+    const settings = { exclude: [], minRelevance: DEFAULT_THRESHOLD, accessories: 'exclude', ...options };
+    const lowerTitle = String(title || '').toLowerCase();
+    const titleWords = new Set(tokenize(title));
+    const compactTitle = compact(title);
+    const queryText = String(query || '').toLowerCase();
+
+    const queryWords = tokenize(query).filter(word => !STOP_WORDS.includes(word));
+    const matched = queryWords.filter(word => titleWords.has(word) || (word.length >= 3 && compactTitle.includes(word)));
+    let score = queryWords.length > 0 ? matched.length / queryWords.length : 1;
+    const reasons = [];
+
+    if (score < settings.minRelevance) {
+        const missing = queryWords.filter(word => !matched.includes(word));
+        reasons.push(`missing query words: ${missing.join(', ')}`);
+    }
+
+    settings.exclude
+        .filter(term => lowerTitle.includes(term))
+        .forEach(term => reasons.push(`excluded term "${term}"`));
+
+    if (settings.accessories === 'exclude') {
+        // Only the most specific matching term is reported ("screen protector", not also "protector")
+        const accessory = ACCESSORY_TERMS
+            .filter(term => !queryText.includes(term) && findTerm(lowerTitle, term))
+            .sort((a, b) => b.length - a.length)[0];
+        if (accessory) {
+            reasons.push(`accessory or parts listing ("${accessory}")`);
+            score *= 0.5;
+        }
+
+        // "Case for iPhone 13": the query item is what the listing is made for
+        // (unless the query itself is for an accessory)
+        const firstWord = queryWords[0];
+        const accessoryQuery = ACCESSORY_TERMS.some(term => findTerm(queryText, term));
+        if (firstWord && !accessoryQuery && new RegExp(`\\b(?:for|fits|compatible with)\\s+${escapeRegExp(firstWord)}`, 'u').test(lowerTitle) && !lowerTitle.startsWith(firstWord)) {
+            reasons.push(`made for "${firstWord}" rather than the item itself`);
+            score *= 0.5;
+        }
+    }
+
+    return {
+        score: Math.round(score * 100) / 100,
+        relevant: reasons.length === 0,
+        reasons: reasons
+    };
+}
+
+// Attach `relevance` to every item (reading its title) and split them.
+// Returns { relevant, flagged, summary } where summary goes into the analytics
+function scoreItems(items, query, options = {}) {
+    items.forEach(item => {
+        item.relevance = scoreTitle(item.title, query, options);
+    });
+
+    const relevant = items.filter(item => item.relevance.relevant);
+    const flagged = items.filter(item => !item.relevance.relevant);
+    return {
+        relevant,
+        flagged,
+        summary: {
+            minRelevance: options.minRelevance !== undefined ? options.minRelevance : DEFAULT_THRESHOLD,
+            excludedTerms: options.exclude || [],
+            accessories: options.accessories || 'exclude',
+            relevantItems: relevant.length,
+            flaggedItems: flagged.length
+        }
+    };
+}
+
+module.exports = {
+    ACCESSORY_TERMS,
+    parseRelevanceOptions,
+    scoreTitle,
+    scoreItems
+};
@@ -0,0 +1,124 @@
+// Sample sizes and the sampling of Browse API active listings.
+//
+// ?sampleSize= (default 150) sets how many listings a search analyzes: a
+// number up to 10,000 or 'all'. The sold scrape reads that many listings
+// page by page; the Browse API sample is capped at 1,000 listings.
+//
+// Browse API searches with more results than the sample size are sampled
+// rather than fetched in full. ?sampling=stratified (default) sorts them by price
+// and splits them into strata of equal size, each a price range holding the
+// same number of listings, then takes an even share of the sample from the
+// middle of every stratum, so the statistics cover the whole price range.
+// ?sampling=cheapest keeps the old behaviour (the first listings by price) and
+// ?sampling=newest takes the most recently listed, as price watches do.
+//
+// The Browse API serves at most the first 10,000 results of a sort, so strata
+// in the upper half are read from the price-descending sort; with more than
+// 20,000 results the middle ranks can't be reached and those strata are taken
+// from the nearest reachable listings.
+
+const METHODS = ['stratified', 'cheapest', 'newest'];
+const DEFAULT_SAMPLE_SIZE = 150;
+const MAX_SAMPLE_SIZE = 10000;
+const MAX_API_SAMPLE_SIZE = 1000;
+const STRATUM_SIZE = 25; // Listings sampled per stratum
+const PAGE_LIMIT = 200; // Most items the Browse API returns per call
+const MAX_RANK = 10000; // offset + limit may not exceed this
+
+// Read { sampling, sampleSize } from a request query or body; throws on invalid values
+function parseSamplingOptions(source = {}) {
+    const sampling = String(source.sampling || 'stratified').toLowerCase();
+    if (!METHODS.includes(sampling)) {
+        throw new Error(`Invalid sampling "${source.sampling}" (expected ${METHODS.join(', ')})`);
+    }
+
+    const rawSize = source.sampleSize !== undefined && source.sampleSize !== '' ? String(source.sampleSize).toLowerCase() : null;
+    if (rawSize === 'all') {
+        return { sampling, sampleSize: 'all' };
+    }
+    const sampleSize = rawSize !== null ? Number(rawSize) : DEFAULT_SAMPLE_SIZE;
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > MAX_SAMPLE_SIZE) {
+        throw new Error(`Invalid sampleSize "${source.sampleSize}" (expected 1-${MAX_SAMPLE_SIZE} or all)`);
+    }
+    return { sampling, sampleSize };
+}
+
+// Browse API page for the listings ranked start..start+limit-1 by ascending price
+function rankPage(start, limit, totalCount) {
+    if (start + limit <= MAX_RANK) {
+        return { sort: 'price', offset: start, limit: limit, clamped: false };
+    }
+    const descendingOffset = Math.max(totalCount - start - limit, 0);
+    if (descendingOffset + limit <= MAX_RANK) {
+        return { sort: '-price', offset: descendingOffset, limit: limit, clamped: false };
+    }
+    return { sort: 'price', offset: MAX_RANK - limit, limit: limit, clamped: true };
+}
+
+// Pages to request for a sample of a result set of totalCount listings, plus the strata they cover
+function samplePlan(totalCount, options = {}) {
+    const sampling = options.sampling || 'stratified';
+    const requested = options.sampleSize === 'all' ? totalCount : options.sampleSize || DEFAULT_SAMPLE_SIZE;
+    const size = Math.min(requested, MAX_API_SAMPLE_SIZE, totalCount);
+    const complete = size === totalCount;
+
+    // The most recently listed, in pages from the start
+    if (sampling === 'newest') {
+        const pages = [];
+        for (let start = 0; start < size; start += PAGE_LIMIT) {
+            pages.push({ sort: 'newlyListed', offset: start, limit: Math.min(PAGE_LIMIT, size - start), clamped: false });
+        }
+        return { method: sampling, complete: complete, strata: 1, clampedStrata: 0, plannedSize: size, pages: pages };
+    }
+
+    // The whole result set, or the cheapest listings, in pages from the start
+    if (sampling === 'cheapest' || complete) {
+        const pages = [];
+        for (let start = 0; start < size; start += PAGE_LIMIT) {
+            pages.push(rankPage(start, Math.min(PAGE_LIMIT, size - start), totalCount));
+        }
+        return { method: sampling, complete: complete, strata: 1, clampedStrata: 0, plannedSize: size, pages: pages };
+    }
+
+    const strata = Math.ceil(size / STRATUM_SIZE);
+    const pages = [];
+    for (let i = 0; i < strata; i++) {
+        const from = Math.floor((i * totalCount) / strata);
+        const to = Math.floor(((i + 1) * totalCount) / strata);
+        const take = Math.floor((size * (i + 1)) / strata) - Math.floor((size * i) / strata);
+        pages.push(rankPage(from + Math.floor((to - from - take) / 2), take, totalCount));
+    }
+    // Clamped strata all land on the same listings, which are requested once, so the
+    // sample ends up smaller than asked for (plannedSize is what is actually requested)
+    const unique = pages.filter((page, index) => pages.findIndex(other => other.sort === page.sort && other.offset === page.offset) === index);
+    return {
+        method: sampling,
+        complete: false,
+        strata: strata,
+        clampedStrata: pages.filter(page => page.clamped).length,
+        plannedSize: unique.reduce((sum, page) => sum + page.limit, 0),
+        pages: unique
+    };
+}
+
+// Sampling details returned with the results
+function summarizeSampling(plan, options, totalCount, sampled) {
+    return {
+        method: plan.method,
+        sampleSize: options.sampleSize || DEFAULT_SAMPLE_SIZE,
+        sampled: sampled,
+        population: totalCount,
+        coveragePercent: totalCount > 0 ? Math.round((sampled / totalCount) * 1000) / 10 : 0,
+        complete: plan.complete,
+        strata: plan.strata,
+        clampedStrata: plan.clampedStrata,
+        plannedSize: plan.plannedSize
+    };
+}
+
+module.exports = {
+    DEFAULT_SAMPLE_SIZE,
+    parseSamplingOptions,
+    samplePlan,
+    summarizeSampling
+};
@@ -0,0 +1,56 @@
+// Shipping cost and landed price.
+//
+// A $20 item with $15 shipping costs the buyer the same as a $35 item with
+// free shipping. Every item carries shippingCost (0 for free shipping, null
+// when the listing doesn't say) and routes choose what the analytics measure
+// with ?priceBasis=item (default, the item price), shipping (the shipping cost
+// of listings that charge for it; free shipping is counted in the summary) or
+// landed (item price plus shipping). Items with unknown shipping are left out
+// of shipping analytics and count at their item price when landed.
+
+const PRICE_BASES = ['item', 'shipping', 'landed'];
+
+// Read { priceBasis } from a request query or body; throws on invalid values
+function parseShippingOptions(source = {}) {
+    const priceBasis = String(source.priceBasis || 'item').toLowerCase();
+    if (!PRICE_BASES.includes(priceBasis)) {
+        throw new Error(`Invalid priceBasis "${source.priceBasis}" (expected ${PRICE_BASES.join(', ')})`);
+    }
+    return { priceBasis };
+}
+
+// The price measured for an item given its item price (null stays null)
+function basisPrice(itemPrice, shippingCost, options = {}) {
+    if (itemPrice === null || itemPrice === undefined) {
+        return null;
+    }
+    switch (options.priceBasis) {
+        case 'shipping':
+            return shippingCost;
+        case 'landed':
+            return Math.round((itemPrice + (shippingCost || 0)) * 100) / 100;
+        default:
+            return itemPrice;
+    }
+}
+
+// Shipping counts for the analytics
+function summarizeShipping(items, options = {}) {
+    const paid = items.filter(item => item.shippingCost > 0);
+    return {
+        priceBasis: options.priceBasis || 'item',
+        freeShipping: items.filter(item => item.shippingCost === 0).length,
+        paidShipping: paid.length,
+        unknownShipping: items.filter(item => item.shippingCost === null || item.shippingCost === undefined).length,
+        averageShipping: paid.length > 0
+            ? Math.round((paid.reduce((sum, item) => sum + item.shippingCost, 0) / paid.length) * 100) / 100
+            : 0
+    };
+}
+
+module.exports = {
+    PRICE_BASES,
+    parseShippingOptions,
+    basisPrice,
+    summarizeShipping
+};
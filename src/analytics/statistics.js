@@ -0,0 +1,129 @@
+// Price statistics shared by every search pipeline.
+//
+// priceStats() summarises one condition bucket. Outliers (a $5 "box only"
+// listing, a $9,999 placeholder) are dropped first, using either Tukey's IQR
+// fences or percentile cut-offs, so every reported figure describes the kept
+// prices. Routes choose the method with ?outliers=iqr|percentile|none and
+// ?outlierThreshold=; PRICE_OUTLIERS and PRICE_OUTLIER_THRESHOLD set defaults.
+
+const OUTLIER_METHODS = ['iqr', 'percentile', 'none'];
+const DEFAULT_THRESHOLDS = {
+    iqr: 1.5, // Fence distance in IQRs beyond Q1/Q3
+    percentile: 5 // Percent cut from each tail
+};
+const MIN_PRICES_FOR_OUTLIERS = 4;
+const TRIM_FRACTION = 0.1; // Trimmed mean drops 10% from each end
+
+// Read { outliers, outlierThreshold } from a request query or body; throws on invalid values
+function parseStatisticsOptions(source = {}) {
+    const method = String(source.outliers || process.env.PRICE_OUTLIERS || 'iqr').toLowerCase();
+    if (!OUTLIER_METHODS.includes(method)) {
+        throw new Error(`Invalid outliers "${source.outliers}" (expected ${OUTLIER_METHODS.join(', ')})`);
+    }
+    if (method === 'none') {
+        return { outliers: method };
+    }
+
+    const rawThreshold = source.outlierThreshold !== undefined && source.outlierThreshold !== ''
+        ? source.outlierThreshold
+        : process.env.PRICE_OUTLIER_THRESHOLD;
+    const threshold = rawThreshold !== undefined ? parseFloat(rawThreshold) : DEFAULT_THRESHOLDS[method];
+    if (isNaN(threshold) || threshold <= 0 || (method === 'percentile' && threshold >= 50)) {
+        throw new Error(`Invalid outlierThreshold "${rawThreshold}"`);
+    }
+    return { outliers: method, outlierThreshold: threshold };
+}
+
+// Percentile (0-100) of an ascending list, interpolating between neighbours
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+    const position = (sorted.length - 1) * (p / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function median(values) {
+    return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Population standard deviation
+function standardDeviation(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const average = mean(values);
+    return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+function trimmedMean(sorted, fraction = TRIM_FRACTION) {
+    const cut = Math.floor(sorted.length * fraction);
+    return mean(sorted.slice(cut, sorted.length - cut));
+}
+
+// Split an ascending list into { kept, excluded } using the chosen outlier method
+function removeOutliers(sorted, options = {}) {
+    const method = options.outliers || 'iqr';
+    if (method === 'none' || sorted.length < MIN_PRICES_FOR_OUTLIERS) {
+        return { kept: sorted, excluded: [] };
+    }
+
+    const threshold = options.outlierThreshold || DEFAULT_THRESHOLDS[method];
+    let low;
+    let high;
+    if (method === 'percentile') {
+        low = percentile(sorted, threshold);
+        high = percentile(sorted, 100 - threshold);
+    } else {
+        const q1 = percentile(sorted, 25);
+        const q3 = percentile(sorted, 75);
+        low = q1 - threshold * (q3 - q1);
+        high = q3 + threshold * (q3 - q1);
+    }
+
+    return {
+        kept: sorted.filter(price => price >= low && price <= high),
+        excluded: sorted.filter(price => price < low || price > high)
+    };
+}
+
+// Summary statistics for a list of prices after outlier removal.
+// Options: { outliers, outlierThreshold } as returned by parseStatisticsOptions()
+function priceStats(prices, options = {}) {
+    const sorted = prices.filter(price => price > 0).sort((a, b) => a - b);
+    const { kept, excluded } = removeOutliers(sorted, options);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+        sampleSize: kept.length,
+        outliersExcluded: excluded.length,
+        highest: kept.length > 0 ? kept[kept.length - 1] : 0,
+        lowest: kept.length > 0 ? kept[0] : 0,
+        average: round(mean(kept)),
+        median: round(percentile(kept, 50)),
+        q1: round(percentile(kept, 25)),
+        q3: round(percentile(kept, 75)),
+        p10: round(percentile(kept, 10)),
+        p90: round(percentile(kept, 90)),
+        stdDev: round(standardDeviation(kept)),
+        trimmedMean: round(trimmedMean(kept))
+    };
+}
+
+module.exports = {
+    OUTLIER_METHODS,
+    parseStatisticsOptions,
+    percentile,
+    median,
+    mean,
+    standardDeviation,
+    trimmedMean,
+    removeOutliers,
+    priceStats
+};
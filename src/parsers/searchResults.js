@@ -0,0 +1,317 @@
+const fs = require('fs');
+const { parseHTML } = require('linkedom');
+const { conditionPhrases } = require('../services/conditions');
+
+// eBay search-results parser shared by the Puppeteer scrapers and offline tooling.
+//
+// extractListings() and extractTotalResults() are passed straight to page.evaluate(),
+// which serializes them with Function.prototype.toString. They must stay
+// self-contained: no references to module scope, no Node APIs, no helpers
+// defined outside the function body.
+
+// Extract the "N results" count from a search results page
+function extractTotalResults(root) {
+    const doc = root || document;
+    const resultsText = doc.querySelector('.srp-controls__count-heading, .results-count, .srp-header__count');
+    if (resultsText) {
+        const text = resultsText.textContent;
+        // Thousands are grouped with commas, dots or spaces depending on the site
+        const match = text.match(/(\d+(?:[,.\s\u00a0]\d{3})*)/);
+        if (match) {
+            return parseInt(match[1].replace(/\D/g, ''));
+        }
+    }
+    return 0;
+}
+
+// Extract listings from a search results page.
+// Options: { verbose, conditionPhrases } - verbose logs every accepted/rejected title span;
+// conditionPhrases ([{ key, phrases }], see services/conditions.js) sets each item's conditionKey
+function extractListings(options, root) {
+    const opts = options || {};
+    const doc = root || document;
+    const log = opts.verbose ? (...args) => console.log(...args) : () => {};
+    const items = [];
+
+    // Navigation, filter and badge text rendered with the same span class as titles
+    const blockedFragments = [
+        'Shop on eBay',
+        'Sponsored',
+        'See all',
+        'View',
+        'Filter',
+        'Sort',
+        'Category',
+        'Brand',
+        'Condition',
+        'Price',
+        'Location',
+        'Shipping',
+        'Buying Format',
+        'Show only',
+        'Min. Number',
+        'Game Type',
+        'Age Level',
+        'Item Location',
+        'delivery',
+        'Located',
+        'Free returns',
+        'Opens in',
+        'Was:',
+        'or Best Offer',
+        'Completed listings',
+        'Remove filter',
+        'Clear All',
+        'Filters',
+        'Live shopping',
+        'Join now'
+    ];
+
+    // Common navigation/category terms shown as standalone spans
+    const blockedTitles = [
+        'Sennheiser',
+        'audio tech',
+        'audio-technica',
+        'Dynamic Microphone',
+        'Stand-Held',
+        'Condenser Microphone',
+        'Microphone Receiver',
+        'Microphone System',
+        'Microphone Only',
+        'Table Array',
+        'Personal Computer',
+        'Smartphone',
+        'Karaoke Machine',
+        'Audio Mixer'
+    ];
+
+    const isNonItem = (title) => {
+        return !title ||
+            title.length < 10 ||
+            blockedFragments.some(fragment => title.includes(fragment)) ||
+            blockedTitles.includes(title) ||
+            // Filter out sold/ended date stamps ("Sold  Oct 12, 2025")
+            /^(Sold|Ended)\s+[A-Z][a-z]{2}\s+\d{1,2},?\s+\d{4}$/.test(title) ||
+            // Filter out single words that are likely categories
+            (title.length < 20 && !title.includes(' ') && !title.includes('-')) ||
+            // Filter out titles that are just brand names
+            /^[A-Z][a-z]+$/.test(title) ||
+            // Filter out titles that look like navigation elements
+            /^(New|Used|Refurbished|For Parts)$/i.test(title) ||
+            // Filter out titles that are just product categories
+            /^(Microphone|Audio|Computer|Phone|Machine|Mixer|System|Receiver|Array)$/i.test(title);
+    };
+
+    // Prices as shown on any eBay site: "$12.99", "US $12.99", "C $15.00", "£9.99",
+    // "EUR 12,00", "12,00 €"
+    const pricePattern = /(?:(?:US|AU|C|NZ)\s?)?\$\s?\d[\d.,]*|(?:£|€|EUR|GBP)\s?\d[\d.,]*|\d[\d.,]*\s?(?:€|EUR)/;
+    const matchPrice = (text) => {
+        const priceMatch = text.match(pricePattern);
+        return priceMatch ? priceMatch[0].replace(/[.,]+$/, '').trim() : null;
+    };
+
+    // Sale date stamps on sold result cards: "Sold  Oct 12, 2025", "Sold 12 Oct 2025",
+    // "Verkauft 12. Okt. 2025", "Vendu le 12 oct. 2025", "Venduto 12 ott 2025", "Vendido 12 oct 2025"
+    const soldPattern = /(?:Sold|Verkauft|Vendu(?:\s+le)?|Venduto|Vendido)\s+(?:([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?|(\d{1,2})\.?\s+([^\s\d.]{3,5})[^\s\d]*)\s+(\d{4})/;
+    // Month abbreviations on the supported sites (English, German, French, Italian, Spanish)
+    const months = {
+        jan: 1, ene: 1, gen: 1, janv: 1, feb: 2, fév: 2, févr: 2, mar: 3, mär: 3, mrz: 3, mars: 3,
+        apr: 4, abr: 4, avr: 4, may: 5, mai: 5, mag: 5, jun: 6, giu: 6, juin: 6, jul: 7, lug: 7, juil: 7,
+        aug: 8, ago: 8, aoû: 8, août: 8, sep: 9, set: 9, sept: 9, oct: 10, okt: 10, ott: 10, nov: 11,
+        dec: 12, dez: 12, dic: 12, déc: 12
+    };
+    // YYYY-MM-DD sale date from a card's text, or null if it has no (readable) stamp
+    const matchSoldDate = (text) => {
+        const soldMatch = text.match(soldPattern);
+        if (!soldMatch) {
+            return null;
+        }
+        const monthName = (soldMatch[1] || soldMatch[4]).toLowerCase();
+        const month = months[monthName] || months[monthName.slice(0, 3)];
+        const day = parseInt(soldMatch[2] || soldMatch[3]);
+        if (!month || day < 1 || day > 31) {
+            return null;
+        }
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${soldMatch[5]}-${pad(month)}-${pad(day)}`;
+    };
+
+    // Condition shown on the card (outside the title); the longest phrase found wins so
+    // "Very Good - Refurbished" is not read as "Very Good". Badges that look like a condition are ignored
+    const conditionPhrases = opts.conditionPhrases || [];
+    const conditionBadges = /new listing|neues angebot|nouvelle annonce|nuova inserzione|nuevo anuncio/g;
+    const matchCondition = (text) => {
+        const cardText = text.replace(conditionBadges, ' ');
+        let conditionKey = null;
+        let longest = 0;
+        conditionPhrases.forEach(({ key, phrases }) => phrases.forEach(phrase => {
+            const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (phrase.length > longest && new RegExp(`(^|[^\\p{L}])${escaped}(?![\\p{L}])`, 'u').test(cardText)) {
+                conditionKey = key;
+                longest = phrase.length;
+            }
+        }));
+        return conditionKey;
+    };
+
+    // Buying format cues on a card: a bid count means an auction ("12 bids", "3 Gebote",
+    // "5 enchères", "2 offerte", "4 pujas"), otherwise Best Offer or Buy It Now wording
+    const bidPattern = /(\d[\d.,]*)\s*(?:bids?|gebote?|enchères?|offerte|pujas?)(?![\p{L}])/u;
+    const bestOfferPattern = /best offer|preisvorschlag|offre directe|proposta d'acquisto|mejor oferta/;
+    const buyItNowPattern = /buy it now|sofort-kaufen|sofortkaufen|achat immédiat|compralo subito|cómpralo ya/;
+    // Sold cards of accepted Best Offers show the list price struck through next to this wording
+    const bestOfferAcceptedPattern = /best offer accepted|preisvorschlag angenommen|offre directe acceptée|proposta d'acquisto accettata|mejor oferta aceptada/;
+    // { buyingFormat, bidCount } with null for anything the card doesn't show
+    const matchBuyingFormat = (text) => {
+        const bidMatch = text.match(bidPattern);
+        if (bidMatch) {
+            return { buyingFormat: 'auction', bidCount: parseInt(bidMatch[1].replace(/\D/g, '')) };
+        }
+        if (bestOfferPattern.test(text)) {
+            return { buyingFormat: 'best_offer', bidCount: null };
+        }
+        return { buyingFormat: buyItNowPattern.test(text) ? 'buy_it_now' : null, bidCount: null };
+    };
+
+    // Shipping on a card: "+$12.45 shipping", "+EUR 4,90 Versand", "+£3.99 postage" or a free shipping note
+    const shippingPattern = new RegExp(`\\+\\s*(${pricePattern.source})\\s*(?:shipping|delivery|postage|versand|livraison|spedizione|envío|envio)`, 'i');
+    const freeShippingPattern = /free (?:shipping|delivery|postage|international shipping)|kostenloser versand|versand kostenlos|livraison gratuite|spedizione gratuita|envío gratis/i;
+    // Shipping price text, 'Free', or null when the card doesn't show shipping
+    const matchShipping = (text) => {
+        const shippingMatch = text.match(shippingPattern);
+        if (shippingMatch) {
+            return shippingMatch[1].replace(/[.,]+$/, '').trim();
+        }
+        return freeShippingPattern.test(text) ? 'Free' : null;
+    };
+
+    const priceSelectors = [
+        '.s-item__price',
+        '.item-price',
+        '.srp-item-price',
+        '[data-testid="item-price"]',
+        '.s-item__detail--primary',
+        '.s-item__detail',
+        '.price'
+    ];
+
+    // Find all title spans
+    const titleSpans = doc.querySelectorAll('span.su-styled-text.primary.default');
+    log(`🔍 Found ${titleSpans.length} title spans on this page`);
+
+    titleSpans.forEach((titleSpan, index) => {
+        try {
+            const title = titleSpan.textContent.trim();
+
+            if (isNonItem(title)) {
+                log(`❌ Filtered out non-item: "${title}"`);
+                return;
+            }
+
+            // Find the parent container that contains both title and price
+            let parentContainer = titleSpan.closest('.s-item, .srp-item, .item, [data-view="item"], .s-item-wrapper, .s-item-container');
+
+            if (!parentContainer) {
+                // If no specific container found, use the parent element
+                parentContainer = titleSpan.parentElement;
+                while (parentContainer && !matchPrice(parentContainer.textContent)) {
+                    parentContainer = parentContainer.parentElement;
+                }
+            }
+
+            if (!parentContainer) {
+                log(`❌ No parent container found for title: "${title}"`);
+                return;
+            }
+
+            // Look for price in the parent container
+            let price = null;
+            for (const priceSelector of priceSelectors) {
+                const priceEl = parentContainer.querySelector(priceSelector);
+                if (priceEl) {
+                    price = matchPrice(priceEl.textContent);
+                    if (price) {
+                        break;
+                    }
+                }
+            }
+
+            // If no price found with selectors, try to extract from container text
+            if (!price) {
+                price = matchPrice(parentContainer.textContent);
+            }
+
+            // Skip if no valid price found
+            if (!price) {
+                log(`❌ No price found for: "${title}"`);
+                return;
+            }
+
+            // Determine condition and buying format from the card text without the title (null when not shown).
+            // Leaf element texts are joined with spaces so "$99.00" and "12 bids" don't run together
+            const cardDetails = Array.from(parentContainer.querySelectorAll('*'))
+                .filter(el => el.children.length === 0)
+                .map(el => el.textContent.trim())
+                .filter(text => text && text !== title)
+                .join(' ');
+            const cardText = cardDetails.toLowerCase();
+            const conditionKey = matchCondition(cardText);
+            const { buyingFormat, bidCount } = matchBuyingFormat(cardText);
+
+            // Try to find the actual eBay URL
+            let itemUrl = '#';
+            const linkEl = parentContainer.querySelector('a[href*="ebay."]');
+            if (linkEl) {
+                itemUrl = linkEl.href || linkEl.getAttribute('href');
+            }
+
+            // eBay item ID from the card's listing ID attribute or its /itm/ link (null when neither is shown)
+            const listingEl = parentContainer.closest('[data-listingid]') || parentContainer.querySelector('[data-listingid]');
+            const itemIdMatch = itemUrl.match(/\/itm\/(?:[^/?#]+\/)?(\d{9,})/);
+            const itemId = listingEl ? listingEl.getAttribute('data-listingid') : itemIdMatch ? itemIdMatch[1] : null;
+
+            items.push({
+                title: title,
+                price: price,
+                link: itemUrl,
+                itemId: itemId,
+                conditionKey: conditionKey,
+                buyingFormat: buyingFormat,
+                bidCount: bidCount,
+                bestOfferAccepted: bestOfferAcceptedPattern.test(cardText),
+                shipping: matchShipping(cardDetails),
+                soldDate: matchSoldDate(parentContainer.textContent) // null on active listings
+            });
+
+            log(`✅ Found listing ${index + 1}: "${title}" - ${price}`);
+
+        } catch (error) {
+            log(`❌ Error processing title span ${index}: ${error.message}`);
+        }
+    });
+
+    log(`📊 Found ${items.length} valid listings on this page`);
+    return items;
+}
+
+// Parse raw search results HTML (e.g. a page saved from the browser) without Puppeteer
+function parseSearchResultsHtml(html, options = {}) {
+    const { document } = parseHTML(html);
+    return {
+        totalResults: extractTotalResults(document),
+        items: extractListings({ conditionPhrases: conditionPhrases(), ...options }, document)
+    };
+}
+
+// Parse a saved search results HTML file
+async function parseSearchResultsFile(filePath, options = {}) {
+    const html = await fs.promises.readFile(filePath, 'utf8');
+    return parseSearchResultsHtml(html, options);
+}
+
+module.exports = {
+    extractListings,
+    extractTotalResults,
+    parseSearchResultsHtml,
+    parseSearchResultsFile
+};
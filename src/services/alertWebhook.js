@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+// Delivers price watch alerts to a webhook.
+//
+// New deals are POSTed as JSON ({ watch, currency, soldMedian, threshold, deals })
+// to the watch's webhookUrl, or ALERT_WEBHOOK_URL when it has none. Delivery is
+// best effort: a failure is logged and reported in the check's history, and the
+// deals stay in the notifications feed either way.
+
+const WEBHOOK_TIMEOUT = 10000;
+
+// POST the payload; resolves with { url, delivered, status } or { url, delivered: false, error }
+async function deliverWebhook(url, payload, signal) {
+    try {
+        const response = await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT, signal });
+        console.log(`🔔 Alert delivered to ${url} (${response.status})`);
+        return { url: url, delivered: true, status: response.status };
+    } catch (error) {
+        console.error(`❌ Alert webhook ${url} failed: ${error.message}`);
+        return { url: url, delivered: false, error: error.message };
+    }
+}
+
+// Webhook a watch delivers to (null when there is none)
+function webhookUrl(watch) {
+    return watch.webhookUrl || process.env.ALERT_WEBHOOK_URL || null;
+}
+
+module.exports = {
+    deliverWebhook,
+    webhookUrl
+};
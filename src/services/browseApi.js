@@ -0,0 +1,123 @@
+const axios = require('axios');
+const fixtureStore = require('./fixtureStore');
+const { throwIfAborted } = require('../utils/abort');
+
+// eBay API Configuration
+const EBAY_API_BASE_URL = 'https://api.ebay.com/buy/browse/v1';
+const EBAY_FINDING_API_URL = 'https://svcs.ebay.com/services/search/FindingService/v1';
+// eBay OAuth Client Credentials for Browse API (2-hour expiry, but auto-refreshable)
+const EBAY_CLIENT_ID = process.env.EBAY_CLIENT_ID;
+const EBAY_CLIENT_SECRET = process.env.EBAY_CLIENT_SECRET;
+
+// OAuth Token Management (auto-refreshable)
+let currentToken = null;
+let tokenExpiry = null;
+
+// Function to get OAuth access token using Client Credentials
+async function getEbayAccessToken() {
+    try {
+        console.log('🔄 Getting new eBay OAuth access token...');
+        
+        const response = await axios.post('https://api.ebay.com/identity/v1/oauth2/token', 
+            'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope',
+            {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Authorization': `Basic ${Buffer.from(`${EBAY_CLIENT_ID}:${EBAY_CLIENT_SECRET}`).toString('base64')}`
+                }
+            }
+        );
+        
+        const tokenData = response.data;
+        currentToken = tokenData.access_token;
+        tokenExpiry = Date.now() + (tokenData.expires_in * 1000);
+        
+        console.log('✅ New OAuth token obtained, expires in', tokenData.expires_in, 'seconds');
+        return currentToken;
+    } catch (error) {
+        console.error('❌ Failed to get OAuth token:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Function to refresh OAuth token if needed
+async function refreshEbayToken() {
+    try {
+        // Check if token is still valid
+        if (currentToken && tokenExpiry && Date.now() < tokenExpiry) {
+            return currentToken;
+        }
+        
+        // Get new token
+        return await getEbayAccessToken();
+    } catch (error) {
+        console.error('❌ Token refresh failed:', error.message);
+        throw error;
+    }
+}
+
+// Function to make eBay API calls with OAuth Token (auto-refreshable)
+// Options: { signal, marketplaceId } - abort the HTTP request; marketplace to search (default EBAY_US)
+async function makeEbayApiCall(url, params = {}, options = {}) {
+    const { signal, marketplaceId = 'EBAY_US', retryCount = 0 } = options;
+    const maxRetries = 1;
+    
+    throwIfAborted(signal);
+    
+    // The marketplace changes the response, so other marketplaces get their own recordings
+    const fixtureParams = marketplaceId === 'EBAY_US' ? params : { ...params, marketplace: marketplaceId };
+    if (fixtureStore.isReplaying()) {
+        return { data: await fixtureStore.loadApiResponse(url, fixtureParams) };
+    }
+    
+    try {
+        // Ensure we have a valid token
+        if (!currentToken || (tokenExpiry && Date.now() >= tokenExpiry)) {
+            await refreshEbayToken();
+        }
+        
+        const response = await axios.get(url, {
+            headers: {
+                'Authorization': `Bearer ${currentToken}`,
+                'Content-Type': 'application/json',
+                'X-EBAY-C-MARKETPLACE-ID': marketplaceId // Required for Browse API
+            },
+            params: params,
+            signal: signal
+        });
+        
+        if (fixtureStore.isRecording()) {
+            await fixtureStore.saveApiResponse(url, fixtureParams, response.data);
+        }
+        
+        return response;
+    } catch (error) {
+        // Check if it's a token expiration error (1001)
+        if (error.response?.data?.errors?.[0]?.errorId === 1001 && retryCount < maxRetries) {
+            console.log('🔄 OAuth token expired, attempting refresh...');
+            
+            try {
+                // Try to refresh the token
+                currentToken = await refreshEbayToken();
+                
+                // Retry the API call with new token
+                console.log('🔄 Retrying API call with refreshed token...');
+                return await makeEbayApiCall(url, params, { signal, marketplaceId, retryCount: retryCount + 1 });
+            } catch (refreshError) {
+                console.error('❌ Token refresh failed:', refreshError.message);
+                throw error; // Throw original error if refresh fails
+            }
+        }
+        
+        // If it's not a token error or we've exhausted retries, throw the error
+        throw error;
+    }
+}
+
+module.exports = {
+    EBAY_API_BASE_URL,
+    EBAY_FINDING_API_URL,
+    getEbayAccessToken,
+    refreshEbayToken,
+    makeEbayApiCall
+};
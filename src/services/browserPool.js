@@ -0,0 +1,319 @@
+const puppeteer = require('puppeteer');
+const { abortError, throwIfAborted } = require('../utils/abort');
+
+// Long-lived Puppeteer browser shared by the scraping routes.
+//
+// One Chrome process serves up to `maxPages` concurrent pages. Pages are reused
+// between requests and closed after `maxPageUses` uses; the browser itself is
+// retired after `maxBrowserUses` page checkouts or relaunched if it crashes.
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const LAUNCH_ATTEMPTS = 3;
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+// Shared launch configuration for every scraper
+function getLaunchOptions() {
+    const launchOptions = {
+        headless: 'new',
+        timeout: 30000,
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--disable-gpu',
+            '--no-first-run',
+            '--disable-web-security',
+            '--disable-features=VizDisplayCompositor',
+            '--memory-pressure-off',
+            '--disable-extensions',
+            '--disable-plugins',
+            '--disable-default-apps',
+            '--disable-sync',
+            '--disable-translate',
+            '--hide-scrollbars',
+            '--mute-audio'
+            // No --single-process: it is unstable with more than one open page
+        ]
+    };
+
+    // Use the environment variable path, the system Chrome on Vercel or Chrome on Windows;
+    // otherwise Puppeteer's bundled browser
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+        launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    } else if (process.env.VERCEL) {
+        launchOptions.executablePath = '/usr/bin/google-chrome-stable';
+    } else if (process.platform === 'win32') {
+        launchOptions.executablePath = 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
+    }
+
+    return launchOptions;
+}
+
+// Launch Chrome, retrying a couple of times since cold starts on small containers are flaky
+async function launchBrowser() {
+    const launchOptions = getLaunchOptions();
+    console.log(`🚀 Launching Puppeteer browser (${launchOptions.executablePath || 'bundled Chrome'})...`);
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const browser = await puppeteer.launch(launchOptions);
+            console.log(`✅ Browser launched successfully on attempt ${attempt}`);
+            return browser;
+        } catch (error) {
+            console.log(`❌ Launch attempt ${attempt}/${LAUNCH_ATTEMPTS} failed: ${error.message}`);
+            if (attempt >= LAUNCH_ATTEMPTS) {
+                throw error;
+            }
+            console.log(`⏳ Waiting 2 seconds before retry...`);
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.maxPages = options.maxPages || 2;
+        this.maxPageUses = options.maxPageUses || 20;
+        this.maxBrowserUses = options.maxBrowserUses || 100;
+        this.acquireTimeout = options.acquireTimeout || 60000;
+
+        this.browser = null;
+        this.launching = null;
+        this.browserUses = 0;
+        this.entries = []; // { page, browser, uses, busy }
+        this.creating = 0;
+        this.waiters = [];
+        this.closed = false;
+    }
+
+    // Current browser, launching a new one if there is none or it crashed
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+        if (!this.launching) {
+            this.launching = launchBrowser()
+                .then(async browser => {
+                    if (this.closed) {
+                        await browser.close();
+                        throw new Error('Browser pool is shut down');
+                    }
+                    browser.on('disconnected', () => this.handleDisconnect(browser));
+                    this.browser = browser;
+                    this.browserUses = 0;
+                    return browser;
+                })
+                .finally(() => {
+                    this.launching = null;
+                });
+        }
+        return this.launching;
+    }
+
+    handleDisconnect(browser) {
+        if (this.browser === browser) {
+            console.log('💥 Browser disconnected, it will be relaunched on next use');
+            this.browser = null;
+        }
+        this.entries = this.entries.filter(entry => entry.browser !== browser);
+        this.wakeWaiter();
+    }
+
+    async isHealthy(entry) {
+        if (!entry.browser.isConnected() || entry.page.isClosed() || entry.browser !== this.browser) {
+            return false;
+        }
+        try {
+            await withTimeout(entry.page.evaluate(() => true), HEALTH_CHECK_TIMEOUT, 'Page health check timed out');
+            return true;
+        } catch (error) {
+            console.log(`❌ Page failed health check: ${error.message}`);
+            return false;
+        }
+    }
+
+    async createPage() {
+        this.creating++;
+        let page = null;
+        try {
+            const browser = await this.getBrowser();
+            page = await browser.newPage();
+            await page.setViewport({ width: 1366, height: 768 });
+            await page.setUserAgent(USER_AGENT);
+
+            const entry = { page, browser, uses: 0, busy: true };
+            this.entries.push(entry);
+            console.log(`📄 Pool page created (${this.entries.length}/${this.maxPages})`);
+            return entry;
+        } catch (error) {
+            if (page) {
+                await page.close().catch(() => {});
+            }
+            // The slot this page held is free again; let a waiting caller try instead
+            this.wakeWaiter();
+            throw error;
+        } finally {
+            this.creating--;
+        }
+    }
+
+    // Check out a configured page; callers must hand it back with release().
+    // Options: { signal } - stop waiting for a free page when aborted
+    async acquire(options = {}) {
+        const { signal } = options;
+        const deadline = Date.now() + this.acquireTimeout;
+
+        while (true) {
+            if (this.closed) {
+                throw new Error('Browser pool is shut down');
+            }
+            throwIfAborted(signal);
+
+            let entry = this.entries.find(candidate => !candidate.busy);
+            if (entry) {
+                entry.busy = true;
+                if (!(await this.isHealthy(entry))) {
+                    await this.discard(entry);
+                    continue;
+                }
+            } else if (this.entries.length + this.creating < this.maxPages) {
+                entry = await this.createPage();
+            } else {
+                await this.waitForRelease(deadline, signal);
+                continue;
+            }
+
+            // The caller gave up while the page was being prepared
+            if (signal && signal.aborted) {
+                await this.release(entry.page);
+                throw abortError(signal);
+            }
+
+            entry.uses++;
+            this.browserUses++;
+            if (this.browserUses >= this.maxBrowserUses && this.browser === entry.browser) {
+                console.log(`♻️ Browser reached ${this.browserUses} uses, recycling after current scrapes`);
+                this.browser = null;
+            }
+            return entry.page;
+        }
+    }
+
+    // Return a page to the pool; retired or worn-out pages are closed instead.
+    // Options: { discard } - close the page regardless, e.g. to stop an aborted navigation
+    async release(page, options = {}) {
+        const entry = this.entries.find(candidate => candidate.page === page);
+        if (!entry) {
+            return;
+        }
+
+        if (options.discard || entry.uses >= this.maxPageUses || entry.browser !== this.browser || page.isClosed()) {
+            await this.discard(entry);
+        } else {
+            try {
+                // The page stays checked out until it is reset, so no caller gets it mid-navigation
+                await page.goto('about:blank');
+                entry.busy = false;
+            } catch (error) {
+                await this.discard(entry);
+            }
+        }
+        this.wakeWaiter();
+    }
+
+    async discard(entry) {
+        this.entries = this.entries.filter(candidate => candidate !== entry);
+        try {
+            if (!entry.page.isClosed()) {
+                await entry.page.close();
+            }
+        } catch (error) {
+            console.log(`❌ Error closing pool page: ${error.message}`);
+        }
+        await this.closeIfRetired(entry.browser);
+    }
+
+    // Close a recycled browser once its last page has been returned
+    async closeIfRetired(browser) {
+        if (browser === this.browser || this.entries.some(entry => entry.browser === browser)) {
+            return;
+        }
+        try {
+            await browser.close();
+            console.log('♻️ Retired browser closed');
+        } catch (error) {
+            console.log(`❌ Error closing retired browser: ${error.message}`);
+        }
+    }
+
+    waitForRelease(deadline, signal) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.waiters = this.waiters.filter(candidate => candidate !== waiter);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            const waiter = () => {
+                cleanup();
+                resolve();
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(abortError(signal));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('Timed out waiting for a free browser page'));
+            }, Math.max(0, deadline - Date.now()));
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.waiters.push(waiter);
+        });
+    }
+
+    wakeWaiter() {
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter();
+        }
+    }
+
+    // Close every page and browser; pending and future acquire() calls fail
+    async destroy() {
+        this.closed = true;
+        this.waiters.splice(0).forEach(waiter => waiter());
+
+        const browsers = new Set(this.entries.map(entry => entry.browser));
+        if (this.browser) {
+            browsers.add(this.browser);
+        }
+        this.entries = [];
+        this.browser = null;
+
+        await Promise.all([...browsers].map(browser => browser.close().catch(() => {})));
+    }
+}
+
+const browserPool = new BrowserPool({
+    maxPages: parseInt(process.env.BROWSER_POOL_SIZE) || undefined,
+    maxPageUses: parseInt(process.env.BROWSER_PAGE_MAX_USES) || undefined,
+    maxBrowserUses: parseInt(process.env.BROWSER_MAX_USES) || undefined
+});
+
+module.exports = {
+    BrowserPool,
+    browserPool,
+    getLaunchOptions
+};
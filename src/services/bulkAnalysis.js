@@ -0,0 +1,143 @@
+const { parseCsv, formatCsv } = require('../utils/csv');
+const { mapConcurrent } = require('../utils/queue');
+const { throwIfAborted } = require('../utils/abort');
+const { parsePrice } = require('./marketplaces');
+
+// Bulk analysis of a CSV of item titles.
+//
+// Each row holds a title, optionally what the item cost and its condition
+// (title,cost,condition - in that order, or in any order under a header row
+// naming them). Every row runs through analyzeRow(row, signal), e.g. the
+// server's market summary pipeline, at most `concurrency` rows at a time, and
+// comes back as one result row: sold median, active count, sell-through and,
+// when a cost was given, the margin against the sold median. A row that fails
+// records its error and the rest carry on.
+
+const DEFAULT_MAX_ROWS = 500;
+const DEFAULT_CONCURRENCY = 2;
+const INPUT_COLUMNS = ['title', 'cost', 'condition'];
+const RESULT_COLUMNS = [
+    'row', 'title', 'cost', 'condition', 'currency', 'soldTotal', 'soldMedian', 'activeCount', 'activeMedian',
+    'sellThroughRate', 'monthsOfSupply', 'margin', 'error'
+];
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Rows to analyze from CSV text: [{ row, title, cost, condition, error }], row numbered from 1
+// after any header. Throws when there are no rows or more than maxRows
+function parseBulkCsv(text, maxRows = DEFAULT_MAX_ROWS) {
+    const records = parseCsv(text).map(fields => fields.map(field => field.trim()));
+    const header = records.length > 0 && records[0].some(field => field.toLowerCase() === 'title');
+    const columns = header
+        ? Object.fromEntries(INPUT_COLUMNS.map(name => [name, records[0].findIndex(field => field.toLowerCase() === name)]))
+        : { title: 0, cost: 1, condition: 2 };
+    const data = header ? records.slice(1) : records;
+
+    if (data.length === 0) {
+        throw new Error('CSV has no rows to analyze');
+    }
+    if (data.length > maxRows) {
+        throw new Error(`CSV has ${data.length} rows (at most ${maxRows} per upload)`);
+    }
+
+    return data.map((fields, index) => {
+        const value = (name) => columns[name] >= 0 && fields[columns[name]] ? fields[columns[name]] : null;
+        const cost = value('cost');
+        const row = {
+            row: index + 1,
+            title: value('title'),
+            cost: cost !== null && /\d/.test(cost) ? parsePrice(cost) : null,
+            // "Open box" and "for parts" as the condition filter spells them
+            condition: value('condition') ? value('condition').toLowerCase().replace(/[\s-]+/g, '_') : null,
+            error: null
+        };
+        if (!row.title) {
+            row.error = 'Missing title';
+        } else if (cost !== null && !/\d/.test(cost)) {
+            row.error = `Invalid cost "${cost}"`;
+        }
+        return row;
+    });
+}
+
+// Result row from a market summary (see analytics/marketSummary.js)
+function bulkResult(row, summary) {
+    const sold = summary.sold.success ? summary.sold : null;
+    const active = summary.active.success ? summary.active : null;
+    const soldMedian = sold ? sold.analytics.total.median : null;
+    return {
+        row: row.row,
+        title: row.title,
+        cost: row.cost,
+        condition: row.condition,
+        currency: summary.currency || null,
+        soldTotal: summary.metrics.totalSold,
+        soldMedian: soldMedian,
+        activeCount: summary.metrics.totalActive,
+        activeMedian: active ? active.analytics.total.median : null,
+        sellThroughRate: summary.metrics.sellThroughRate,
+        monthsOfSupply: summary.metrics.monthsOfSupply,
+        margin: row.cost !== null && soldMedian > 0 ? round(soldMedian - row.cost, 2) : null,
+        error: summary.errors.length > 0 ? summary.errors.map(error => `${error.source}: ${error.message}`).join('; ') : null
+    };
+}
+
+// Result row for a row that could not be analyzed
+function bulkFailure(row, message) {
+    return {
+        ...Object.fromEntries(RESULT_COLUMNS.map(column => [column, null])),
+        row: row.row,
+        title: row.title,
+        cost: row.cost,
+        condition: row.condition,
+        error: message
+    };
+}
+
+// Analyze every row, reporting { rowsDone, rowsTotal, rows: [{ row, title, status }] } after
+// each change; status is queued, running, done, partial (one side failed) or failed.
+// Resolves with the result rows in upload order
+async function runBulkAnalysis(rows, analyzeRow, options = {}) {
+    const { concurrency = DEFAULT_CONCURRENCY, signal, onProgress = () => {} } = options;
+    const statuses = rows.map(row => ({ row: row.row, title: row.title, status: row.error ? 'failed' : 'queued' }));
+    let rowsDone = rows.filter(row => row.error).length;
+    const report = () => onProgress({ rowsDone: rowsDone, rowsTotal: rows.length, rows: statuses });
+    report();
+
+    const pending = rows.map((row, index) => ({ row, index })).filter(({ row }) => !row.error);
+    const analyzed = await mapConcurrent(pending, concurrency, async ({ row, index }) => {
+        statuses[index].status = 'running';
+        report();
+        let result;
+        try {
+            const summary = await analyzeRow(row, signal);
+            result = bulkResult(row, summary);
+            statuses[index].status = !summary.success ? 'failed' : summary.partial ? 'partial' : 'done';
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error(`❌ Bulk row ${row.row} (${row.title}) failed: ${error.message}`);
+            result = bulkFailure(row, error.message);
+            statuses[index].status = 'failed';
+        }
+        rowsDone++;
+        report();
+        return { index, result };
+    }, signal);
+
+    const results = rows.map(row => row.error ? bulkFailure(row, row.error) : null);
+    analyzed.forEach(({ index, result }) => {
+        results[index] = result;
+    });
+    return results;
+}
+
+// Result rows as a CSV download
+function bulkCsv(results) {
+    return formatCsv(RESULT_COLUMNS, results.map(result => RESULT_COLUMNS.map(column => result[column])));
+}
+
+module.exports = {
+    parseBulkCsv,
+    runBulkAnalysis,
+    bulkCsv
+};
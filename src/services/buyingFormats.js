@@ -0,0 +1,42 @@
+// Buying formats shared by the search filters, the pipelines and the analytics.
+//
+// Every listing is tagged auction, buy_it_now (fixed price) or best_offer (fixed
+// price open to offers), the same values ?buyingFormat= filters on. Auctions
+// also carry their bid count. Scraped cards are classified by the search
+// results parser (bid counts, "or Best Offer", "Buy It Now"); Browse API items
+// by their buyingOptions. Listings showing none of these are 'unknown'.
+
+const FORMATS = [
+    { key: 'auction', label: 'Auction', searchParam: 'LH_Auction', browseOption: 'AUCTION' },
+    { key: 'buy_it_now', label: 'Buy It Now', searchParam: 'LH_BIN', browseOption: 'FIXED_PRICE' },
+    { key: 'best_offer', label: 'Best Offer', searchParam: 'LH_BO', browseOption: 'BEST_OFFER' }
+];
+
+const UNKNOWN_FORMAT = { key: 'unknown', label: 'Unknown format' };
+
+function getFormat(key) {
+    return FORMATS.find(format => format.key === key) || UNKNOWN_FORMAT;
+}
+
+// Browse API items list every option a listing accepts, e.g. ['FIXED_PRICE', 'BEST_OFFER'];
+// an auction stays an auction even when it also has a Buy It Now price
+function fromBrowseItem(item) {
+    const options = item.buyingOptions || [];
+    if (options.includes('AUCTION')) {
+        return getFormat('auction');
+    }
+    if (options.includes('BEST_OFFER')) {
+        return getFormat('best_offer');
+    }
+    if (options.includes('FIXED_PRICE')) {
+        return getFormat('buy_it_now');
+    }
+    return UNKNOWN_FORMAT;
+}
+
+module.exports = {
+    FORMATS,
+    UNKNOWN_FORMAT,
+    getFormat,
+    fromBrowseItem
+};
@@ -0,0 +1,158 @@
+// eBay item condition taxonomy shared by the scrapers, the Browse API search
+// and the search filters.
+//
+// Every listing is mapped to one entry of CONDITIONS: Browse API items by their
+// conditionId, scraped result cards by the condition text shown on the card
+// (English, German, French, Italian and Spanish sites). Each entry belongs to
+// a group (new, open_box, refurbished, used, for_parts) that the ?condition=
+// filter can select as a whole. Listings whose condition can't be read are
+// 'unknown' instead of being assumed used.
+
+const CONDITIONS = [
+    {
+        key: 'new', id: '1000', label: 'New', group: 'new',
+        phrases: ['new', 'brand new', 'neu', 'brandneu', 'neuf', 'nuovo', 'nuevo']
+    },
+    {
+        key: 'open_box', id: '1500', label: 'Open box', group: 'open_box',
+        phrases: ['open box', 'new other', 'new (other)', 'new other (see details)', 'neu: sonstige', 'neu (sonstige)',
+            'neuf (autre)', 'neuf: autre', 'nuovo (altro)', 'nuovo: altro', 'nuevo (otro)', 'nuevo: otro']
+    },
+    {
+        key: 'new_with_defects', id: '1750', label: 'New with defects', group: 'open_box',
+        phrases: ['new with defects', 'neu mit fehlern', 'neuf avec défauts', 'nuovo con difetti', 'nuevo con defectos']
+    },
+    {
+        key: 'certified_refurbished', id: '2000', label: 'Certified refurbished', group: 'refurbished',
+        phrases: ['certified refurbished', 'certified - refurbished', 'manufacturer refurbished', 'zertifiziert - generalüberholt',
+            'vom hersteller generalüberholt', 'reconditionné certifié', 'ricondizionato certificato', 'reacondicionado certificado']
+    },
+    {
+        key: 'excellent_refurbished', id: '2010', label: 'Excellent - Refurbished', group: 'refurbished',
+        phrases: ['excellent - refurbished', 'excellent refurbished', 'hervorragend - generalüberholt',
+            'excellent état - reconditionné', 'eccellente - ricondizionato', 'excelente - reacondicionado']
+    },
+    {
+        key: 'very_good_refurbished', id: '2020', label: 'Very Good - Refurbished', group: 'refurbished',
+        phrases: ['very good - refurbished', 'very good refurbished', 'sehr gut - generalüberholt',
+            'très bon état - reconditionné', 'ottimo - ricondizionato', 'muy bueno - reacondicionado']
+    },
+    {
+        key: 'good_refurbished', id: '2030', label: 'Good - Refurbished', group: 'refurbished',
+        phrases: ['good - refurbished', 'good refurbished', 'gut - generalüberholt',
+            'bon état - reconditionné', 'buono - ricondizionato', 'bueno - reacondicionado']
+    },
+    {
+        key: 'seller_refurbished', id: '2500', label: 'Seller refurbished', group: 'refurbished',
+        phrases: ['seller refurbished', 'refurbished', 'vom verkäufer generalüberholt', 'generalüberholt',
+            'reconditionné par le vendeur', 'reconditionné', 'ricondizionato dal venditore', 'ricondizionato',
+            'reacondicionado por el vendedor', 'reacondicionado']
+    },
+    {
+        key: 'like_new', id: '2750', label: 'Like New', group: 'used',
+        phrases: ['like new', 'wie neu', 'comme neuf', 'come nuovo', 'como nuevo']
+    },
+    {
+        key: 'used', id: '3000', label: 'Used', group: 'used',
+        phrases: ['used', 'pre-owned', 'pre owned', 'preowned', 'gebraucht', 'occasion', 'usato', 'usado']
+    },
+    {
+        key: 'used_very_good', id: '4000', label: 'Very Good', group: 'used',
+        phrases: ['very good', 'used - very good', 'sehr gut', 'très bon état', 'ottime condizioni', 'muy buen estado']
+    },
+    {
+        key: 'used_good', id: '5000', label: 'Good', group: 'used',
+        phrases: ['good', 'used - good', 'gut', 'bon état', 'buone condizioni', 'buen estado']
+    },
+    {
+        key: 'used_acceptable', id: '6000', label: 'Acceptable', group: 'used',
+        phrases: ['acceptable', 'used - acceptable', 'akzeptabel', 'état acceptable', 'accettabile', 'aceptable']
+    },
+    {
+        key: 'for_parts', id: '7000', label: 'For parts or not working', group: 'for_parts',
+        phrases: ['for parts or not working', 'for parts', 'parts only', 'als ersatzteil', 'als ersatzteil / defekt',
+            'pour pièces détachées', 'pour pièces', 'per ricambi', 'solo piezas', 'para piezas']
+    }
+];
+
+const UNKNOWN_CONDITION = { key: 'unknown', id: null, label: 'Unknown', group: 'unknown', phrases: [] };
+
+const GROUPS = ['new', 'open_box', 'refurbished', 'used', 'for_parts'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Condition phrases by key, passed to the search results parser (which can't require this module)
+function conditionPhrases() {
+    return CONDITIONS.map(condition => ({ key: condition.key, phrases: condition.phrases }));
+}
+
+function getCondition(key) {
+    return CONDITIONS.find(condition => condition.key === key) || UNKNOWN_CONDITION;
+}
+
+function fromConditionId(id) {
+    return CONDITIONS.find(condition => condition.id === String(id)) || UNKNOWN_CONDITION;
+}
+
+// Condition named in a piece of text; the longest phrase found wins, so
+// "Very Good - Refurbished" is not read as "Very Good" or "Refurbished"
+function fromText(text) {
+    const lowerText = String(text || '').toLowerCase();
+    let best = UNKNOWN_CONDITION;
+    let bestLength = 0;
+    CONDITIONS.forEach(condition => condition.phrases.forEach(phrase => {
+        const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(phrase)}(?![\\p{L}])`, 'u');
+        if (phrase.length > bestLength && pattern.test(lowerText)) {
+            best = condition;
+            bestLength = phrase.length;
+        }
+    }));
+    return best;
+}
+
+// Browse API item summaries carry conditionId and the condition's display name
+// (older responses nest both in a condition object)
+function fromBrowseItem(item) {
+    const nested = typeof item.condition === 'object' && item.condition !== null ? item.condition : {};
+    const byId = fromConditionId(item.conditionId || nested.conditionId);
+    if (byId !== UNKNOWN_CONDITION) {
+        return byId;
+    }
+    return fromText(typeof item.condition === 'string' ? item.condition : nested.conditionDisplayName);
+}
+
+// Condition fields set on every returned item
+function itemCondition(condition) {
+    return {
+        condition: condition.label,
+        conditionId: condition.id,
+        conditionKey: condition.key
+    };
+}
+
+// eBay condition IDs behind each ?condition= value: the groups plus every individual condition
+function conditionFilterIds() {
+    const ids = {};
+    CONDITIONS.forEach(condition => {
+        ids[condition.key] = [condition.id];
+    });
+    GROUPS.forEach(group => {
+        ids[group] = CONDITIONS.filter(condition => condition.group === group).map(condition => condition.id);
+    });
+    return ids;
+}
+
+module.exports = {
+    CONDITIONS,
+    UNKNOWN_CONDITION,
+    GROUPS,
+    conditionPhrases,
+    getCondition,
+    fromConditionId,
+    fromText,
+    fromBrowseItem,
+    itemCondition,
+    conditionFilterIds
+};
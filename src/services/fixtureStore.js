@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Record-and-replay store for eBay traffic.
+//
+// EBAY_FIXTURE_MODE=record  - live requests run as usual and every search page
+//                             (HTML) and Browse API response (JSON) is saved
+// EBAY_FIXTURE_MODE=replay  - nothing goes to eBay; pages and API responses are
+//                             served from the store and a miss is an error
+// EBAY_FIXTURE_DIR          - store location (default ./fixtures)
+
+const FIXTURE_MODE = (process.env.EBAY_FIXTURE_MODE || '').toLowerCase();
+const FIXTURE_DIR = path.resolve(process.env.EBAY_FIXTURE_DIR || 'fixtures');
+
+if (FIXTURE_MODE && FIXTURE_MODE !== 'record' && FIXTURE_MODE !== 'replay') {
+    console.warn(`⚠️ Unknown EBAY_FIXTURE_MODE "${FIXTURE_MODE}", fixtures disabled`);
+}
+
+function isRecording() {
+    return FIXTURE_MODE === 'record';
+}
+
+function isReplaying() {
+    return FIXTURE_MODE === 'replay';
+}
+
+// Readable prefix from the search terms plus a hash of the full request, so
+// the same search with different parameters never collides
+function fixtureName(keywords, identity) {
+    const slug = String(keywords || 'search')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'search';
+    const hash = crypto.createHash('sha1').update(identity).digest('hex').slice(0, 10);
+    return `${slug}-${hash}`;
+}
+
+// Sort params so the same request always maps to the same file
+function canonicalParams(params = {}) {
+    return Object.keys(params)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+}
+
+function pagePath(searchUrl, pageNumber) {
+    const keywords = new URL(searchUrl).searchParams.get('_nkw');
+    return path.join(FIXTURE_DIR, 'pages', `${fixtureName(keywords, searchUrl)}-p${pageNumber}.html`);
+}
+
+function apiPath(url, params) {
+    return path.join(FIXTURE_DIR, 'api', `${fixtureName(params.q, `${url}?${canonicalParams(params)}`)}.json`);
+}
+
+async function writeFile(filePath, contents) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, contents, 'utf8');
+    console.log(`💾 Recorded fixture: ${path.relative(process.cwd(), filePath)}`);
+}
+
+async function readFile(filePath) {
+    try {
+        return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Save the HTML of one search results page
+async function savePage(searchUrl, pageNumber, html) {
+    await writeFile(pagePath(searchUrl, pageNumber), html);
+}
+
+// Load the HTML of one search results page, or null if it was never recorded
+async function loadPage(searchUrl, pageNumber) {
+    return readFile(pagePath(searchUrl, pageNumber));
+}
+
+// Save a Browse API response body
+async function saveApiResponse(url, params, data) {
+    await writeFile(apiPath(url, params), JSON.stringify(data, null, 2));
+}
+
+// Load a Browse API response body; a miss throws since callers cannot continue without it
+async function loadApiResponse(url, params) {
+    const filePath = apiPath(url, params);
+    const contents = await readFile(filePath);
+    if (contents === null) {
+        throw new Error(`No recorded API response for "${params.q}" (${path.relative(process.cwd(), filePath)})`);
+    }
+    return JSON.parse(contents);
+}
+
+module.exports = {
+    FIXTURE_DIR,
+    isRecording,
+    isReplaying,
+    savePage,
+    loadPage,
+    saveApiResponse,
+    loadApiResponse
+};
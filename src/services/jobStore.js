@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Background jobs for long-running searches.
+//
+// A job runs immediately after it is created. Its runner reports progress
+// through the callback it receives; every change is published to subscribers
+// (the Server-Sent Events route) and kept on the job for polling. Runners also
+// get an AbortSignal that fires when the job is cancelled. Finished jobs are
+// forgotten after the retention period.
+
+const DEFAULT_RETENTION_SECONDS = 30 * 60;
+
+class JobStore {
+    constructor(options = {}) {
+        this.retention = options.retention || DEFAULT_RETENTION_SECONDS;
+        this.jobs = new Map();
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+    }
+
+    // Start run(reportProgress, signal) as a job and return it right away.
+    // Options: { timeout, timeoutMessage } - fail the job (aborting its signal) after `timeout` ms
+    create(type, params, run, options = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type: type,
+            params: params,
+            status: 'running',
+            progress: {},
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+        console.log(`🧵 Job ${job.id} started: ${type} ${JSON.stringify(params)}`);
+
+        const reportProgress = (progress) => {
+            if (job.status !== 'running') {
+                return;
+            }
+            job.progress = { ...job.progress, ...progress };
+            this.publish(job);
+        };
+
+        let timedOut = false;
+        const timer = options.timeout ? setTimeout(() => {
+            timedOut = true;
+            job.controller.abort(new Error(options.timeoutMessage || 'Job timed out'));
+        }, options.timeout) : null;
+
+        setImmediate(async () => {
+            try {
+                job.result = await run(reportProgress, job.controller.signal);
+                job.status = 'completed';
+                console.log(`✅ Job ${job.id} completed`);
+            } catch (error) {
+                job.error = error.message;
+                job.status = job.controller.signal.aborted && !timedOut ? 'cancelled' : 'failed';
+                console.error(`❌ Job ${job.id} ${job.status}: ${error.message}`);
+            }
+            clearTimeout(timer);
+            this.publish(job);
+            setTimeout(() => this.jobs.delete(job.id), this.retention * 1000).unref();
+        });
+
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    isFinished(job) {
+        return job.status !== 'running';
+    }
+
+    // Abort a running job; returns false if it had already finished
+    cancel(id, reason = 'Job cancelled') {
+        const job = this.get(id);
+        if (!job || this.isFinished(job)) {
+            return false;
+        }
+        job.controller.abort(new Error(reason));
+        return true;
+    }
+
+    // Abort every running job (used on shutdown); resolves once they have all settled
+    async cancelAll(reason = 'Server shutting down') {
+        const running = [...this.jobs.values()].filter(job => !this.isFinished(job));
+        running.forEach(job => this.cancel(job.id, reason));
+        await Promise.all(running.map(job => new Promise(resolve => {
+            const unsubscribe = this.subscribe(job.id, snapshot => {
+                if (snapshot.status !== 'running') {
+                    unsubscribe();
+                    resolve();
+                }
+            });
+        })));
+    }
+
+    // Public view of a job; the result is only included once it exists
+    snapshot(job) {
+        const view = {
+            id: job.id,
+            type: job.type,
+            params: job.params,
+            status: job.status,
+            progress: job.progress,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+        if (job.status === 'completed') {
+            view.result = job.result;
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            view.error = job.error;
+        }
+        return view;
+    }
+
+    publish(job) {
+        job.updatedAt = new Date().toISOString();
+        this.events.emit(job.id, this.snapshot(job));
+    }
+
+    // Call listener with a snapshot on every change; returns an unsubscribe function
+    subscribe(id, listener) {
+        this.events.on(id, listener);
+        return () => this.events.off(id, listener);
+    }
+}
+
+const jobStore = new JobStore({
+    retention: parseInt(process.env.JOB_RETENTION) || undefined
+});
+
+module.exports = {
+    JobStore,
+    jobStore
+};
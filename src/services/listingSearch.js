@@ -0,0 +1,510 @@
+const { extractListings, extractTotalResults, parseSearchResultsHtml } = require('../parsers/searchResults');
+const fixtureStore = require('./fixtureStore');
+const { browserPool } = require('./browserPool');
+const { EBAY_API_BASE_URL, makeEbayApiCall } = require('./browseApi');
+const { applyToSearchUrl, toBrowseApiParams } = require('./searchFilters');
+const { getMarketplace, searchUrl: marketplaceSearchUrl, parsePrice, formatPrice } = require('./marketplaces');
+const { CONDITIONS, UNKNOWN_CONDITION, conditionPhrases, getCondition, fromBrowseItem: conditionFromBrowseItem, itemCondition } = require('./conditions');
+const { FORMATS, UNKNOWN_FORMAT, getFormat, fromBrowseItem: formatFromBrowseItem } = require('./buyingFormats');
+const { buildWeeklyTrend } = require('../analytics/priceTrend');
+const { priceStats, mean, median } = require('../analytics/statistics');
+const { buildHistogram } = require('../analytics/histogram');
+const { scoreItems } = require('../analytics/relevance');
+const { annotateLot, summarizeLots } = require('../analytics/lots');
+const { soldPrice, summarizeBestOffers } = require('../analytics/bestOffer');
+const { basisPrice, summarizeShipping } = require('../analytics/shipping');
+const { DEFAULT_SAMPLE_SIZE, samplePlan, summarizeSampling } = require('../analytics/sampling');
+const { abortable, throwIfAborted } = require('../utils/abort');
+
+// Search pipelines behind the API routes. Each one resolves with the JSON
+// payload the route sends on success and throws on failure. All accept an
+// optional AbortSignal (options.signal); aborting stops navigation, pagination
+// and evaluation at the next step and closes the pooled page in use. Search
+// filters (options.filters) come from searchFilters.parseFilters() and
+// options.marketplace is a marketplace code (default us). options.statistics
+// sets outlier handling (see statistics.parseStatisticsOptions()) and
+// options.histogram the price histogram bins (see histogram.parseHistogramOptions()).
+// Items are scored against the query with options.relevance (see
+// relevance.parseRelevanceOptions()); analytics only cover relevant items.
+// Lots are detected on every item and options.lots ({ pricing }, see
+// lots.parseLotOptions()) decides whether prices are per unit or per listing.
+// Every item is mapped to the condition taxonomy (see conditions.js) and tagged
+// with its buying format (see buyingFormats.js); the analytics report one
+// bucket per condition and per format found. Sold searches flag accepted Best
+// Offers and price them with options.bestOffers (see bestOffer.parseBestOfferOptions()).
+// Items carry their shipping cost; options.shipping ({ priceBasis }, see
+// shipping.parseShippingOptions()) picks item, shipping or landed prices.
+// options.sampling ({ sampling, sampleSize }, see sampling.parseSamplingOptions())
+// sets how many listings the sold scrape and the Browse API search analyze.
+
+// Analytics block for one condition bucket: the listing count plus price statistics
+function conditionAnalytics(count, prices, statistics) {
+    return { count: count, ...priceStats(prices, statistics) };
+}
+
+// Analytics per entry ({ key, ... }) present among the items, keyed and ordered like `entries`.
+// keyOf(item) picks an item's entry and describe(entry, items) adds fields to its bucket.
+// Sample counts are multiplied by `scale` to estimate totals (1 when the items are everything)
+function bucketAnalytics(items, entries, keyOf, describe, itemPrices, statistics, scale = 1) {
+    const buckets = {};
+    entries.forEach(entry => {
+        const matching = items.filter(item => keyOf(item) === entry.key);
+        if (matching.length > 0) {
+            buckets[entry.key] = {
+                ...describe(entry, matching),
+                ...conditionAnalytics(Math.round(matching.length * scale), itemPrices(matching), statistics)
+            };
+        }
+    });
+    return buckets;
+}
+
+// One analytics bucket per condition, in taxonomy order
+function conditionBuckets(items, itemPrices, statistics, scale) {
+    const describe = (condition) => ({ label: condition.label, group: condition.group, conditionId: condition.id });
+    return bucketAnalytics(items, [...CONDITIONS, UNKNOWN_CONDITION], item => item.conditionKey, describe, itemPrices, statistics, scale);
+}
+
+// One analytics bucket per buying format; auctions add their bid counts
+function formatBuckets(items, itemPrices, statistics, scale) {
+    const describe = (format, matching) => {
+        const bids = matching.map(item => item.bidCount).filter(count => count !== null && count !== undefined);
+        if (format.key !== 'auction') {
+            return { label: format.label };
+        }
+        return {
+            label: format.label,
+            averageBids: Math.round(mean(bids) * 10) / 10,
+            medianBids: bids.length > 0 ? median(bids) : 0
+        };
+    };
+    return bucketAnalytics(items, [...FORMATS, UNKNOWN_FORMAT], item => item.buyingFormat, describe, itemPrices, statistics, scale);
+}
+
+// "3 used, 2 new" for the logs
+function describeBuckets(buckets) {
+    return Object.keys(buckets).map(key => `${buckets[key].count} ${key}`).join(', ') || 'none';
+}
+
+// Map a scraped item's condition to the taxonomy, settle its buying format and work out
+// its unit price from the price it counts with
+function annotateScrapedItem(item, price) {
+    Object.assign(item, itemCondition(getCondition(item.conditionKey)));
+    item.buyingFormat = getFormat(item.buyingFormat).key;
+    item.shippingCost = item.shipping === 'Free' ? 0 : item.shipping ? parsePrice(item.shipping) : null;
+    annotateLot(item, price);
+}
+
+// Cheapest shipping option of a Browse API item (null when it lists none)
+function apiShippingCost(item) {
+    const costs = (item.shippingOptions || [])
+        .filter(option => option.shippingCost)
+        .map(option => parseFloat(option.shippingCost.value) || 0);
+    return costs.length > 0 ? Math.min(...costs) : null;
+}
+
+// Listing price of a Browse API item; auctions without a Buy It Now price only have the current bid
+function apiPrice(item) {
+    const price = item.price || item.currentBidPrice;
+    return parseFloat(price?.value || 0) || 0;
+}
+
+// Price an item counts with in the analytics: item, shipping or landed price (options.shipping),
+// per unit unless options.lots prices by listing. A lot ships once, so its shipping cost is never divided
+function analyticsPrice(item, listingPrice, options) {
+    const price = basisPrice(listingPrice, item.shippingCost, options.shipping);
+    const perListing = (options.lots && options.lots.pricing === 'listing') || (options.shipping && options.shipping.priceBasis === 'shipping');
+    if (price === null || perListing) {
+        return price;
+    }
+    return Math.round((price / item.quantity) * 100) / 100;
+}
+
+// Results per search page requested from eBay (_ipg), the largest page size it offers
+const RESULTS_PER_PAGE = 240;
+
+// Rendered once a results page has its listings, or eBay's no-results message
+const RESULTS_READY_SELECTOR = 'span.su-styled-text.primary.default, .srp-save-null-search';
+const RESULTS_READY_TIMEOUT = 15000;
+
+// URL of one page of a search
+function searchPageUrl(searchUrl, pageNumber) {
+    const url = new URL(searchUrl);
+    url.searchParams.set('_pgn', pageNumber);
+    return url.toString();
+}
+
+// Open a search results page and wait until its results have rendered; a page
+// that never shows them (blocked, changed markup) is left for the parser to report empty
+async function openSearchPage(page, url, signal) {
+    console.log(`📡 Navigating to: ${url}`);
+    await abortable(page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 }), signal);
+    try {
+        await abortable(page.waitForSelector(RESULTS_READY_SELECTOR, { timeout: RESULTS_READY_TIMEOUT }), signal);
+    } catch (error) {
+        throwIfAborted(signal);
+        console.log(`⚠️ No search results rendered: ${error.message}`);
+    }
+}
+
+// Parse a recorded search page in replay mode (null once past the last recorded page)
+async function replaySearchPage(searchUrl, pageNumber) {
+    const html = await fixtureStore.loadPage(searchUrl, pageNumber);
+    if (html === null) {
+        if (pageNumber === 1) {
+            throw new Error(`No recorded search page for ${searchUrl}`);
+        }
+        return null;
+    }
+    return parseSearchResultsHtml(html);
+}
+
+// Scrape the first page of active listings from eBay search results.
+// Options: { signal, filters, marketplace, statistics, histogram, relevance, lots, shipping }
+async function scrapeActiveListings(keywords, options = {}) {
+    console.log(`🔍 Active listings search for: ${keywords}`);
+
+    const { signal, filters, statistics, histogram, relevance, lots } = options;
+    const marketplace = getMarketplace(options.marketplace);
+
+    let page;
+    try {
+        // Navigate to eBay active search (no sold filter)
+        const searchUrl = applyToSearchUrl(marketplaceSearchUrl(marketplace, `_nkw=${encodeURIComponent(keywords)}&_sop=10`), filters);
+        let totalResults;
+        let pageItems;
+
+        if (fixtureStore.isReplaying()) {
+            ({ totalResults, items: pageItems } = await replaySearchPage(searchUrl, 1));
+        } else {
+            page = await browserPool.acquire({ signal });
+            await openSearchPage(page, searchUrl, signal);
+
+            if (fixtureStore.isRecording()) {
+                await fixtureStore.savePage(searchUrl, 1, await page.content());
+            }
+
+            // Get total results count
+            totalResults = await abortable(page.evaluate(extractTotalResults), signal);
+
+            // Extract active listings (just first page for analytics)
+            pageItems = await abortable(page.evaluate(extractListings, { conditionPhrases: conditionPhrases() }), signal);
+        }
+
+        console.log(`📊 Total active results available: ${totalResults}`);
+        console.log(`📊 Active listings: Found ${pageItems.length} items`);
+
+        // Calculate analytics for active listings relevant to the search
+        pageItems.forEach(item => annotateScrapedItem(item, parsePrice(item.price)));
+        const { relevant, summary: relevanceSummary } = scoreItems(pageItems, keywords, relevance);
+        console.log(`🎯 Relevance: ${relevant.length} relevant, ${relevanceSummary.flaggedItems} flagged`);
+
+        pageItems.forEach(item => {
+            item.analyticsPrice = analyticsPrice(item, parsePrice(item.price), options); // The price the analytics count it at
+        });
+        const itemPrices = (list) => list.map(item => item.analyticsPrice);
+
+        const analytics = {
+            currency: marketplace.currency,
+            total: conditionAnalytics(relevant.length, itemPrices(relevant), statistics),
+            conditions: conditionBuckets(relevant, itemPrices, statistics),
+            formats: formatBuckets(relevant, itemPrices, statistics),
+            histogram: buildHistogram(itemPrices(relevant), { ...statistics, ...histogram }),
+            relevance: relevanceSummary,
+            lots: summarizeLots(relevant, lots),
+            shipping: summarizeShipping(relevant, options.shipping)
+        };
+
+        return {
+            success: true,
+            message: `Found ${pageItems.length} active listings`,
+            analytics: analytics,
+            items: pageItems,
+            totalActive: pageItems.length,
+            marketplace: marketplace.id,
+            currency: marketplace.currency
+        };
+    } finally {
+        if (page) {
+            await browserPool.release(page, { discard: Boolean(signal && signal.aborted) });
+        }
+    }
+}
+
+// Scrape a sample of sold listings (options.sampling.sampleSize, default 150, or 'all'),
+// reading result pages by URL until the sample is complete or the results run out.
+// Options: { signal, filters, marketplace, statistics, histogram, relevance, lots, bestOffers, shipping, sampling, onProgress } - onProgress is called with
+// { step, pagesScraped, maxPages, itemsCollected, sampleTarget }
+async function scrapeSoldListings(keywords, options = {}) {
+    console.log(`🔍 Title-targeted scraper searching for: ${keywords}`);
+
+    const { signal, filters, statistics, histogram, relevance, lots, bestOffers } = options;
+    const marketplace = getMarketplace(options.marketplace);
+    const requestedSize = (options.sampling && options.sampling.sampleSize) || DEFAULT_SAMPLE_SIZE;
+    const reportProgress = options.onProgress || (() => {});
+
+    let page;
+    try {
+        // Navigate to eBay sold search, RESULTS_PER_PAGE results per page
+        const searchUrl = applyToSearchUrl(marketplaceSearchUrl(marketplace, `_nkw=${encodeURIComponent(keywords)}&LH_Sold=1&LH_Complete=1&_sop=10&_ipg=${RESULTS_PER_PAGE}`), filters);
+        const replaying = fixtureStore.isReplaying();
+        let totalResults;
+        let firstPage;
+
+        reportProgress({ step: 'Opening eBay sold search', pagesScraped: 0, itemsCollected: 0 });
+
+        if (replaying) {
+            firstPage = await replaySearchPage(searchUrl, 1);
+            totalResults = firstPage.totalResults;
+        } else {
+            page = await browserPool.acquire({ signal });
+            await openSearchPage(page, searchPageUrl(searchUrl, 1), signal);
+
+            // Get total results count
+            totalResults = await abortable(page.evaluate(extractTotalResults), signal);
+        }
+
+        console.log(`📊 Total results available: ${totalResults}`);
+
+        // Pages needed for the sample; 'all' reads every page of the results
+        const availablePages = Math.max(1, Math.ceil(totalResults / RESULTS_PER_PAGE));
+        const sampleLimit = requestedSize === 'all' ? Infinity : requestedSize;
+        const maxPages = Math.min(availablePages, Math.ceil(sampleLimit / RESULTS_PER_PAGE));
+        const sampleTarget = Math.min(sampleLimit, totalResults);
+        reportProgress({ step: `Found ${totalResults} sold listings`, maxPages: maxPages, sampleTarget: sampleTarget });
+
+        // Items by eBay item ID: results shift while paging, so a listing can show up on two pages
+        const itemsById = new Map();
+        let duplicates = 0;
+        let pagesScraped = 0;
+
+        for (let pageNumber = 1; pageNumber <= maxPages && itemsById.size < sampleLimit; pageNumber++) {
+            throwIfAborted(signal);
+            console.log(`📄 Scraping page ${pageNumber}... (Sample: ${itemsById.size}/${sampleTarget})`);
+            reportProgress({ step: `Scraping page ${pageNumber} of ${maxPages}` });
+
+            let pageItems;
+            if (replaying) {
+                const recordedPage = pageNumber === 1 ? firstPage : await replaySearchPage(searchUrl, pageNumber);
+                if (!recordedPage) {
+                    console.log(`📼 No recorded page ${pageNumber}, stopping pagination`);
+                    break;
+                }
+                pageItems = recordedPage.items;
+            } else {
+                if (pageNumber > 1) {
+                    await openSearchPage(page, searchPageUrl(searchUrl, pageNumber), signal);
+                }
+                if (fixtureStore.isRecording()) {
+                    await fixtureStore.savePage(searchUrl, pageNumber, await page.content());
+                }
+                pageItems = await abortable(page.evaluate(extractListings, { conditionPhrases: conditionPhrases() }), signal);
+            }
+
+            const collectedBefore = itemsById.size;
+            pageItems.forEach((item, index) => {
+                const key = item.itemId || (item.link && item.link !== '#' ? item.link : `${pageNumber}:${index}`);
+                if (itemsById.has(key)) {
+                    duplicates++;
+                } else {
+                    itemsById.set(key, item);
+                }
+            });
+            pagesScraped = pageNumber;
+            console.log(`📊 Page ${pageNumber}: Found ${pageItems.length} listings, ${itemsById.size - collectedBefore} new (Total: ${itemsById.size})`);
+            reportProgress({ pagesScraped: pageNumber, itemsCollected: itemsById.size });
+
+            // Past the last page eBay serves the last page again
+            if (itemsById.size === collectedBefore) {
+                console.log(`📄 No new items on page ${pageNumber}, stopping pagination`);
+                break;
+            }
+        }
+        if (duplicates > 0) {
+            console.log(`🔁 Removed ${duplicates} duplicate listings seen on more than one page`);
+        }
+
+        const pageItems = [...itemsById.values()].slice(0, sampleLimit);
+
+        console.log(`📊 Sample: Found ${pageItems.length} listings for pricing analysis`);
+        console.log(`📊 Total available: ${totalResults} sold listings`);
+        reportProgress({ step: 'Calculating analytics' });
+        
+        // Calculate analytics based on the relevant part of the sample
+        // Accepted Best Offers count at their estimated price, or not at all when excluded
+        pageItems.forEach(item => annotateScrapedItem(item, soldPrice(item, parsePrice(item.price), bestOffers)));
+        const listingPrice = (item) => item.bestOfferAccepted ? item.estimatedPrice : parsePrice(item.price);
+        const { relevant, summary: relevanceSummary } = scoreItems(pageItems, keywords, relevance);
+        console.log(`🎯 Relevance: ${relevant.length} relevant, ${relevanceSummary.flaggedItems} flagged`);
+
+        pageItems.forEach(item => {
+            item.analyticsPrice = analyticsPrice(item, listingPrice(item), options); // The price the analytics count it at
+        });
+        const itemPrices = (list) => list.map(item => item.analyticsPrice);
+        
+        // Condition counts are estimated totals: each condition's share of the sample
+        // times the total (flagged items are part of the sample but belong to no bucket)
+        const sampleSize = pageItems.length;
+        const sampleScale = sampleSize > 0 ? totalResults / sampleSize : 0;
+        const conditions = conditionBuckets(relevant, itemPrices, statistics, sampleScale);
+        console.log(`📊 Estimated totals by condition: ${describeBuckets(conditions)}`);
+
+        relevanceSummary.estimatedRelevantTotal = sampleSize > 0 ? Math.round(totalResults * relevant.length / sampleSize) : 0;
+
+        const analytics = {
+            currency: marketplace.currency,
+            total: conditionAnalytics(totalResults, itemPrices(relevant), statistics), // Use actual total, not sample size
+            conditions: conditions,
+            formats: formatBuckets(relevant, itemPrices, statistics, sampleScale),
+            histogram: buildHistogram(itemPrices(relevant), { ...statistics, ...histogram }),
+            // Weekly sale count and median price over eBay's 90-day sold window
+            trend: buildWeeklyTrend(relevant.map(item => ({ date: item.soldDate, price: item.analyticsPrice }))),
+            relevance: relevanceSummary,
+            lots: summarizeLots(relevant, lots),
+            bestOffers: summarizeBestOffers(relevant, bestOffers),
+            shipping: summarizeShipping(relevant, options.shipping)
+        };
+        console.log(`🤝 Best offers accepted: ${analytics.bestOffers.acceptedItems} (${analytics.bestOffers.sharePercent}%)`);
+        console.log(`📈 Price trend: ${analytics.trend.direction} (${analytics.trend.datedSales} dated sales)`);
+
+        return {
+            success: true,
+            message: `Found ${totalResults} total sold listings (analyzed ${pageItems.length} for pricing)`,
+            analytics: analytics,
+            items: pageItems,
+            totalSold: totalResults,
+            sampling: {
+                method: 'pages',
+                sampleSize: requestedSize,
+                sampled: pageItems.length,
+                population: totalResults,
+                coveragePercent: totalResults > 0 ? Math.round((pageItems.length / totalResults) * 1000) / 10 : 0,
+                complete: pageItems.length >= totalResults,
+                pagesScraped: pagesScraped,
+                availablePages: availablePages,
+                duplicatesRemoved: duplicates
+            },
+            marketplace: marketplace.id,
+            currency: marketplace.currency
+        };
+    } finally {
+        if (page) {
+            await browserPool.release(page, { discard: Boolean(signal && signal.aborted) });
+        }
+    }
+}
+
+// Sample active listings from the Browse API.
+// Options: { signal, filters, marketplace, statistics, histogram, relevance, lots, shipping, sampling }
+async function fetchActiveListings(keywords, options = {}) {
+    console.log(`🔍 eBay API Active search for: ${keywords}`);
+
+    const { signal, statistics, histogram, relevance, lots, sampling = {} } = options;
+    const marketplace = getMarketplace(options.marketplace);
+    const filterParams = toBrowseApiParams(options.filters, marketplace);
+
+    // First, get the total count without pagination limits
+    const countResponse = await makeEbayApiCall(`${EBAY_API_BASE_URL}/item_summary/search`, {
+        q: keywords,
+        limit: 1, // Just get 1 item to get the total count
+        sort: 'price',
+        ...filterParams
+    }, { signal, marketplaceId: marketplace.id });
+
+    const totalCount = countResponse.data.total || 0;
+    console.log(`📊 eBay Browse API total available: ${totalCount} active listings`);
+
+    // Then sample the result set (see analytics/sampling.js); strata can overlap
+    // when listings move between calls, so items are kept once by item ID
+    const plan = samplePlan(totalCount, sampling);
+    const itemsById = new Map();
+    for (const [index, page] of plan.pages.entries()) {
+        const response = await makeEbayApiCall(`${EBAY_API_BASE_URL}/item_summary/search`, {
+            q: keywords,
+            limit: page.limit,
+            sort: page.sort,
+            offset: page.offset,
+            ...filterParams
+        }, { signal, marketplaceId: marketplace.id });
+
+        const pageItems = response.data.itemSummaries || [];
+        console.log(`📊 eBay Browse API ${plan.method} page ${index + 1}/${plan.pages.length} (offset ${page.offset}, sort ${page.sort}): found ${pageItems.length} active listings`);
+        pageItems.forEach(item => itemsById.set(item.itemId || item.itemWebUrl, item));
+    }
+    if (plan.clampedStrata > 0) {
+        console.log(`⚠️ ${plan.clampedStrata} of ${plan.strata} strata are beyond the Browse API offset limit, sampled from the nearest reachable listings (${plan.plannedSize} listings requested)`);
+    }
+
+    const items = [...itemsById.values()];
+    const samplingSummary = summarizeSampling(plan, sampling, totalCount, items.length);
+    console.log(`📊 eBay Browse API sampled ${items.length} items (${plan.method}, ${samplingSummary.coveragePercent}%) from ${totalCount} total active listings`);
+
+    // Calculate analytics over the items relevant to the search
+    items.forEach(item => {
+        Object.assign(item, itemCondition(conditionFromBrowseItem(item)));
+        item.buyingFormat = formatFromBrowseItem(item).key;
+        item.bidCount = item.buyingFormat === 'auction' ? item.bidCount || 0 : null;
+        item.shippingCost = apiShippingCost(item);
+        annotateLot(item, apiPrice(item), item.lotSize);
+    });
+    const { relevant, summary: relevanceSummary } = scoreItems(items, keywords, relevance);
+    console.log(`🎯 Relevance: ${relevant.length} relevant, ${relevanceSummary.flaggedItems} flagged`);
+    relevanceSummary.estimatedRelevantTotal = items.length > 0 ? Math.round(totalCount * relevant.length / items.length) : 0;
+
+    const itemPrices = (list) => list.map(item => analyticsPrice(item, apiPrice(item), options));
+    const sampleScale = items.length > 0 ? totalCount / items.length : 0;
+
+    const analytics = {
+        currency: marketplace.currency,
+        total: conditionAnalytics(totalCount, itemPrices(relevant), statistics), // Use real total count, not sampled count
+        conditions: conditionBuckets(relevant, itemPrices, statistics, sampleScale), // Estimates based on sample
+        formats: formatBuckets(relevant, itemPrices, statistics, sampleScale),
+        histogram: buildHistogram(itemPrices(relevant), { ...statistics, ...histogram }),
+        relevance: relevanceSummary,
+        lots: summarizeLots(relevant, lots),
+        shipping: summarizeShipping(relevant, options.shipping),
+        sampling: samplingSummary
+    };
+
+    // Format items for display
+    const formattedItems = items.map(item => ({
+        title: item.title,
+        price: formatPrice(apiPrice(item), (item.price || item.currentBidPrice)?.currency, marketplace),
+        link: item.itemWebUrl || '#',
+        condition: item.condition,
+        conditionId: item.conditionId,
+        conditionKey: item.conditionKey,
+        image: item.image?.imageUrl || '',
+        itemId: item.itemId,
+        shipping: item.shippingCost === null ? null : item.shippingCost === 0 ? 'Free' : formatPrice(item.shippingCost, marketplace.currency, marketplace),
+        shippingCost: item.shippingCost,
+        buyItNowPrice: item.price?.value ? formatPrice(parseFloat(item.price.value), item.price.currency, marketplace) : 'N/A',
+        timeLeft: getFormat(item.buyingFormat).label,
+        buyingFormat: item.buyingFormat,
+        bidCount: item.bidCount,
+        relevance: item.relevance,
+        quantity: item.quantity,
+        lot: item.lot,
+        unitPrice: item.unitPrice,
+        analyticsPrice: analyticsPrice(item, apiPrice(item), options) // The price the analytics count it at
+    }));
+
+    return {
+        success: true,
+        message: `Found ${totalCount} total active listings via eBay API (${samplingSummary.complete ? 'all' : `${plan.method} sample of ${items.length}`} used for analytics)`,
+        analytics: analytics,
+        items: formattedItems,
+        totalActive: totalCount, // Real total count
+        sampledActive: items.length, // Sample size for analytics
+        sampling: samplingSummary,
+        source: 'eBay API',
+        marketplace: marketplace.id,
+        currency: marketplace.currency
+    };
+}
+
+module.exports = {
+    scrapeActiveListings,
+    scrapeSoldListings,
+    fetchActiveListings
+};
@@ -0,0 +1,70 @@
+// eBay marketplaces the searches can target.
+//
+// A marketplace decides the site the scrapers open, the X-EBAY-C-MARKETPLACE-ID
+// header sent to the Browse API and the currency prices are reported in.
+// Routes take a `marketplace` code (us, uk, de, ...); eBay IDs such as EBAY_GB
+// are accepted too.
+
+const DEFAULT_MARKETPLACE = 'us';
+
+const MARKETPLACES = {
+    us: { id: 'EBAY_US', domain: 'www.ebay.com', currency: 'USD', country: 'US', locale: 'en-US' },
+    uk: { id: 'EBAY_GB', domain: 'www.ebay.co.uk', currency: 'GBP', country: 'GB', locale: 'en-GB' },
+    de: { id: 'EBAY_DE', domain: 'www.ebay.de', currency: 'EUR', country: 'DE', locale: 'de-DE' },
+    fr: { id: 'EBAY_FR', domain: 'www.ebay.fr', currency: 'EUR', country: 'FR', locale: 'fr-FR' },
+    it: { id: 'EBAY_IT', domain: 'www.ebay.it', currency: 'EUR', country: 'IT', locale: 'it-IT' },
+    es: { id: 'EBAY_ES', domain: 'www.ebay.es', currency: 'EUR', country: 'ES', locale: 'es-ES' },
+    ca: { id: 'EBAY_CA', domain: 'www.ebay.ca', currency: 'CAD', country: 'CA', locale: 'en-CA' },
+    au: { id: 'EBAY_AU', domain: 'www.ebay.com.au', currency: 'AUD', country: 'AU', locale: 'en-AU' }
+};
+
+// Marketplace settings (plus its `code`) for a code or eBay ID; throws if unknown
+function getMarketplace(value) {
+    const requested = String(value || DEFAULT_MARKETPLACE).trim().toLowerCase();
+    const code = Object.keys(MARKETPLACES).find(candidate => {
+        return candidate === requested || MARKETPLACES[candidate].id.toLowerCase() === requested;
+    }) || (requested === 'gb' ? 'uk' : null);
+
+    if (!code) {
+        throw new Error(`Unknown marketplace "${value}" (expected ${Object.keys(MARKETPLACES).join(', ')})`);
+    }
+    return { code, ...MARKETPLACES[code] };
+}
+
+// eBay search results URL on the marketplace's site
+function searchUrl(marketplace, query) {
+    return `https://${marketplace.domain}/sch/i.html?${query}`;
+}
+
+// Amount in a price as shown on any eBay site: "$1,234.56", "£12.00",
+// "EUR 1.234,56", "12,00 €". A separator followed by one or two trailing
+// digits is the decimal point; any other separator groups thousands.
+function parsePrice(text) {
+    const match = String(text || '').match(/\d[\d.,]*/);
+    if (!match) {
+        return 0;
+    }
+
+    const number = match[0].replace(/[.,]+$/, '');
+    const separator = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+    if (separator !== -1 && number.length - separator - 1 <= 2) {
+        const whole = number.slice(0, separator).replace(/[.,]/g, '');
+        return parseFloat(`${whole}.${number.slice(separator + 1)}`) || 0;
+    }
+    return parseFloat(number.replace(/[.,]/g, '')) || 0;
+}
+
+// Price formatted for the marketplace, e.g. "£12.00" or "12,00 €"
+function formatPrice(amount, currency, marketplace) {
+    return new Intl.NumberFormat(marketplace.locale, { style: 'currency', currency: currency || marketplace.currency })
+        .format(amount);
+}
+
+module.exports = {
+    DEFAULT_MARKETPLACE,
+    MARKETPLACES,
+    getMarketplace,
+    searchUrl,
+    parsePrice,
+    formatPrice
+};
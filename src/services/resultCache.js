@@ -0,0 +1,154 @@
+const { abortError, throwIfAborted } = require('../utils/abort');
+
+// In-memory cache for search results.
+//
+// Entries are keyed by source (scrape-sold, scrape-active, ebay-active), the
+// normalized query and any extra search parameters. Identical lookups that
+// arrive while a search is still running share that search instead of
+// starting another one. Only successful results are stored.
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const DEFAULT_MAX_ENTRIES = 200;
+
+// Case, surrounding and repeated whitespace do not change an eBay search
+function normalizeQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function cacheKey(source, query, params = {}) {
+    const extras = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== '')
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    return `${source}|${normalizeQuery(query)}|${extras}`;
+}
+
+class ResultCache {
+    constructor(options = {}) {
+        this.ttl = options.ttl || DEFAULT_TTL_SECONDS;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map(); // key -> { value, storedAt, expiresAt }
+        this.inFlight = new Map(); // key -> { promise, controller, waiters } (waiters: callers with a signal)
+    }
+
+    // Resolve a lookup from the cache, an in-flight search or by running compute(signal).
+    // Resolves with { value, cache: { status, age, ttl, expiresIn } } where status is
+    // HIT, MISS (this call ran the search) or COALESCED (joined a running search).
+    // Options: { params, refresh, ttl, signal }
+    //
+    // Aborting `signal` rejects this lookup right away. The shared search itself is
+    // only aborted (through the signal passed to compute) once every caller waiting
+    // on it with a signal has aborted; callers without one can't cancel it and don't
+    // hold it open either.
+    async get(source, query, compute, options = {}) {
+        const key = cacheKey(source, query, options.params);
+        const ttl = options.ttl || this.ttl;
+        throwIfAborted(options.signal);
+
+        const entry = this.entries.get(key);
+        if (entry && !options.refresh) {
+            if (entry.expiresAt > Date.now()) {
+                console.log(`⚡ Cache hit: ${key}`);
+                return { value: entry.value, cache: this.describe(entry, 'HIT') };
+            }
+            this.entries.delete(key);
+        }
+
+        // A running search is at least as fresh as a forced refresh would be
+        let flight = this.inFlight.get(key);
+        let status = 'COALESCED';
+        if (flight) {
+            console.log(`🔗 Joining in-flight search: ${key}`);
+        } else {
+            status = 'MISS';
+            const controller = new AbortController();
+            const current = { controller, waiters: 0 };
+            current.promise = (async () => {
+                const value = await compute(controller.signal);
+                const storedAt = Date.now();
+                const stored = { value, storedAt, expiresAt: storedAt + ttl * 1000 };
+                this.store(key, stored);
+                return stored;
+            })().finally(() => this.forget(key, current));
+            current.promise.catch(() => {}); // Failures reach callers through follow()
+            this.inFlight.set(key, current);
+            flight = current;
+        }
+
+        const stored = await this.follow(key, flight, options.signal);
+        return { value: stored.value, cache: this.describe(stored, status) };
+    }
+
+    // Wait for an in-flight search on behalf of one caller
+    follow(key, flight, signal) {
+        if (!signal) {
+            return flight.promise;
+        }
+        flight.waiters++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                flight.waiters--;
+                if (flight.waiters === 0) {
+                    console.log(`🛑 Every caller gave up, aborting search: ${key}`);
+                    // New callers must start a fresh search rather than join the aborted one
+                    this.forget(key, flight);
+                    flight.controller.abort(signal.reason);
+                }
+                reject(abortError(signal));
+            };
+            if (signal.aborted) {
+                return onAbort();
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            flight.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    forget(key, flight) {
+        if (this.inFlight.get(key) === flight) {
+            this.inFlight.delete(key);
+        }
+    }
+
+    store(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        // Map iteration order is insertion order, so the first key is the oldest
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    describe(entry, status) {
+        const now = Date.now();
+        return {
+            status: status,
+            age: Math.floor((now - entry.storedAt) / 1000),
+            ttl: Math.round((entry.expiresAt - entry.storedAt) / 1000),
+            expiresIn: Math.max(0, Math.floor((entry.expiresAt - now) / 1000))
+        };
+    }
+
+    invalidate(source, query, params) {
+        return this.entries.delete(cacheKey(source, query, params));
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+const resultCache = new ResultCache({
+    ttl: parseInt(process.env.RESULT_CACHE_TTL) || undefined,
+    maxEntries: parseInt(process.env.RESULT_CACHE_MAX_ENTRIES) || undefined
+});
+
+module.exports = {
+    ResultCache,
+    resultCache,
+    normalizeQuery
+};
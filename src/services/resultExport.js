@@ -0,0 +1,149 @@
+const { formatCsv } = require('../utils/csv');
+const { formatXlsx } = require('../utils/xlsx');
+
+// Search results as downloadable files.
+//
+// ?export=csv|json|xlsx on the search routes returns the result as a file
+// instead of the JSON response. An export covers one or both sides of a search
+// (sold and active): every sampled item with its parsed fields, and a summary
+// of the analytics, plus sell-through and the other market metrics when both
+// sides were searched together. XLSX holds both as an Items and a Summary
+// sheet; CSV holds one of them (?sheet=items, the default, or ?sheet=summary);
+// JSON holds the analytics and items of each side as they are, pretty printed.
+
+const FORMATS = ['csv', 'json', 'xlsx'];
+const SHEETS = ['items', 'summary'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Item columns, each [header, value of an item]
+const ITEM_COLUMNS = [
+    ['itemId', item => item.itemId],
+    ['title', item => item.title],
+    ['price', item => item.price],
+    ['unitPrice', item => item.unitPrice],
+    ['analyticsPrice', item => item.analyticsPrice],
+    ['estimatedPrice', item => item.estimatedPrice], // Accepted Best Offers: the estimated sale price
+    ['quantity', item => item.quantity],
+    ['lot', item => item.lot],
+    ['condition', item => item.condition],
+    ['conditionId', item => item.conditionId],
+    ['buyingFormat', item => item.buyingFormat],
+    ['bidCount', item => item.bidCount],
+    ['bestOfferAccepted', item => item.bestOfferAccepted],
+    ['shipping', item => item.shipping],
+    ['shippingCost', item => item.shippingCost],
+    ['soldDate', item => item.soldDate],
+    ['timeLeft', item => item.timeLeft],
+    ['relevanceScore', item => item.relevance ? item.relevance.score : null],
+    ['relevant', item => item.relevance ? item.relevance.relevant : null],
+    ['relevanceReasons', item => item.relevance ? item.relevance.reasons.join('; ') : null],
+    ['link', item => item.link]
+];
+
+// Analytics left out of the summary: chart data rather than figures
+const SUMMARY_SKIP = ['currency', 'histogram', 'trend'];
+
+// Read { format, sheet } from a request query; format is null when no export was asked for.
+// Throws on invalid values
+function parseExportOptions(source = {}) {
+    const format = source.export ? String(source.export).toLowerCase() : null;
+    if (format !== null && !FORMATS.includes(format)) {
+        throw new Error(`Invalid export "${source.export}" (expected ${FORMATS.join(', ')})`);
+    }
+    const sheet = String(source.sheet || 'items').toLowerCase();
+    if (!SHEETS.includes(sheet)) {
+        throw new Error(`Invalid sheet "${source.sheet}" (expected ${SHEETS.join(', ')})`);
+    }
+    return { format, sheet };
+}
+
+// Scalar fields of a nested object as [path, value] pairs, e.g. ['total.median', 87.5]
+function flatten(value, path = []) {
+    if (Array.isArray(value)) {
+        return value.every(entry => typeof entry !== 'object') ? [[path.join('.'), value.join('; ')]] : [];
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).flatMap(key => flatten(value[key], [...path, key]));
+    }
+    return [[path.join('.'), value]];
+}
+
+// Sides that succeeded, as [name, payload]
+function exportedSides(sides) {
+    return Object.keys(sides).filter(name => sides[name] && sides[name].success).map(name => [name, sides[name]]);
+}
+
+function itemsSheet(sides) {
+    return {
+        name: 'Items',
+        header: ['source', ...ITEM_COLUMNS.map(([header]) => header)],
+        rows: exportedSides(sides).flatMap(([name, payload]) =>
+            (payload.items || []).map(item => [name, ...ITEM_COLUMNS.map(([, value]) => {
+                const cell = value(item);
+                return cell === undefined ? null : cell;
+            })]))
+    };
+}
+
+// Summary rows of [section, metric, value]: each side's totals and analytics, then the market metrics
+function summarySheet(keywords, sides, metrics) {
+    const rows = [['search', 'keywords', keywords]];
+    exportedSides(sides).forEach(([name, payload]) => {
+        rows.push([name, 'currency', payload.currency]);
+        ['totalSold', 'totalActive'].filter(field => payload[field] !== undefined).forEach(field => rows.push([name, field, payload[field]]));
+        // Sold scrapes report their sampling beside the analytics rather than in them
+        const analytics = payload.sampling && !payload.analytics.sampling ? { ...payload.analytics, sampling: payload.sampling } : payload.analytics;
+        Object.keys(analytics)
+            .filter(key => !SUMMARY_SKIP.includes(key))
+            .forEach(key => flatten(analytics[key], [key]).forEach(([metric, value]) => rows.push([name, metric, value])));
+    });
+    Object.keys(sides).filter(name => sides[name] && !sides[name].success).forEach(name => rows.push([name, 'error', sides[name].message]));
+    if (metrics) {
+        flatten(metrics).forEach(([metric, value]) => rows.push(['market', metric, value]));
+    }
+    return { name: 'Summary', header: ['section', 'metric', 'value'], rows: rows };
+}
+
+// File name for an export, e.g. "ebay-shure-sm58-sold-active-2024-05-01.xlsx"
+function exportFileName(keywords, sides, format) {
+    const slug = String(keywords).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'search';
+    return `ebay-${slug}-${Object.keys(sides).join('-')}-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+// Export file for a search: { contentType, fileName, body }. `sides` maps 'sold' and/or 'active'
+// to their route payloads; metrics are the market summary's, when both sides were searched
+function buildExport(keywords, sides, metrics, options) {
+    const { format, sheet } = options;
+    let body;
+    if (format === 'json') {
+        const exported = { keywords: keywords, exportedAt: new Date().toISOString() };
+        if (metrics) {
+            exported.metrics = metrics;
+        }
+        Object.keys(sides).forEach(name => {
+            const { success, message, cache, ...payload } = sides[name];
+            exported[name] = success ? payload : { error: message };
+        });
+        body = JSON.stringify(exported, null, 2);
+    } else if (format === 'xlsx') {
+        body = formatXlsx([itemsSheet(sides), summarySheet(keywords, sides, metrics)]);
+    } else {
+        const selected = sheet === 'summary' ? summarySheet(keywords, sides, metrics) : itemsSheet(sides);
+        body = formatCsv(selected.header, selected.rows);
+    }
+    return {
+        contentType: CONTENT_TYPES[format],
+        fileName: exportFileName(keywords, sides, format),
+        body: body
+    };
+}
+
+module.exports = {
+    parseExportOptions,
+    buildExport
+};
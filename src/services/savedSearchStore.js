@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Saved searches and their analytics history, kept in a JSON file.
+//
+// A saved search is keywords plus the search options the API routes accept,
+// stored as given (e.g. { condition: 'used', marketplace: 'uk' }), and how many
+// hours apart the scheduler re-runs it. Every run appends a history entry with
+// the headline numbers of its market summary; past the history limit the
+// oldest entries are dropped. The file is loaded once and rewritten after
+// every change, through a temporary file so a crash never leaves it half written.
+// Price watches (see analytics/priceAlerts.js) are kept in a store of their own.
+
+const DEFAULT_FILE = 'data/saved-searches.json';
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_HISTORY_LIMIT = 365;
+
+// Read a positive number of hours; throws on invalid values
+function parseIntervalHours(value, fallback = DEFAULT_INTERVAL_HOURS) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const hours = Number(value);
+    if (isNaN(hours) || hours < 1) {
+        throw new Error(`Invalid intervalHours "${value}" (expected 1 or more)`);
+    }
+    return hours;
+}
+
+class SavedSearchStore {
+    // Options: { file, label, intervalHours, historyLimit, privateFields } - privateFields are left out of describe()
+    constructor(options = {}) {
+        this.file = path.resolve(options.file || DEFAULT_FILE);
+        this.label = options.label || 'Saved search';
+        this.privateFields = options.privateFields || [];
+        this.intervalHours = options.intervalHours || DEFAULT_INTERVAL_HOURS;
+        this.historyLimit = options.historyLimit || DEFAULT_HISTORY_LIMIT;
+        this.searches = null; // Loaded on first use
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (this.searches) {
+            return this.searches;
+        }
+        try {
+            const contents = await fs.promises.readFile(this.file, 'utf8');
+            this.searches = JSON.parse(contents).searches || [];
+            console.log(`⭐ Loaded ${this.searches.length} entries from ${this.file}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.searches = [];
+        }
+        return this.searches;
+    }
+
+    // Write the store after the previous write has finished
+    async persist() {
+        const contents = JSON.stringify({ searches: this.searches }, null, 2);
+        const write = this.writing.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            const tempFile = `${this.file}.tmp`;
+            await fs.promises.writeFile(tempFile, contents, 'utf8');
+            await fs.promises.rename(tempFile, this.file);
+        });
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    async list() {
+        return this.load();
+    }
+
+    async get(id) {
+        const searches = await this.load();
+        return searches.find(search => search.id === id) || null;
+    }
+
+    // Save a search; it first runs one interval from now unless runNow is set.
+    // `fields` are stored on the search as they are
+    async create({ name, keywords, options = {}, intervalHours, runNow = false, fields = {} }) {
+        const searches = await this.load();
+        const now = new Date();
+        const hours = parseIntervalHours(intervalHours, this.intervalHours);
+        const search = {
+            id: crypto.randomUUID(),
+            name: name || keywords,
+            keywords: keywords,
+            options: options,
+            intervalHours: hours,
+            createdAt: now.toISOString(),
+            lastRunAt: null,
+            nextRunAt: new Date(runNow ? now.getTime() : now.getTime() + hours * 3600 * 1000).toISOString(),
+            ...fields,
+            history: []
+        };
+        searches.push(search);
+        await this.persist();
+        console.log(`⭐ ${this.label} ${search.id}: ${keywords} every ${hours}h`);
+        return search;
+    }
+
+    // Change stored fields of a search (null if there is no such search)
+    async update(id, changes) {
+        const search = await this.get(id);
+        if (!search) {
+            return null;
+        }
+        Object.assign(search, changes);
+        await this.persist();
+        return search;
+    }
+
+    // Returns false if there is no such search
+    async remove(id) {
+        const searches = await this.load();
+        const index = searches.findIndex(search => search.id === id);
+        if (index === -1) {
+            return false;
+        }
+        searches.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // Saved searches whose next run is due
+    async due(now = Date.now()) {
+        const searches = await this.load();
+        return searches.filter(search => new Date(search.nextRunAt).getTime() <= now);
+    }
+
+    // Append a run to a search's history and schedule its next run (null if it was deleted meanwhile)
+    async recordRun(id, entry) {
+        const search = await this.get(id);
+        if (!search) {
+            return null;
+        }
+        search.history.push(entry);
+        if (search.history.length > this.historyLimit) {
+            search.history.splice(0, search.history.length - this.historyLimit);
+        }
+        search.lastRunAt = entry.runAt;
+        search.nextRunAt = new Date(new Date(entry.runAt).getTime() + search.intervalHours * 3600 * 1000).toISOString();
+        await this.persist();
+        return search;
+    }
+
+    // Public view of a search: its latest run instead of the full history unless asked for
+    describe(search, { history = false } = {}) {
+        const { history: entries, ...view } = search;
+        this.privateFields.forEach(field => delete view[field]);
+        view.runs = entries.length;
+        view.latest = entries.length > 0 ? entries[entries.length - 1] : null;
+        if (history) {
+            view.history = entries;
+        }
+        return view;
+    }
+}
+
+const savedSearchStore = new SavedSearchStore({
+    file: process.env.SAVED_SEARCHES_FILE,
+    intervalHours: parseFloat(process.env.SAVED_SEARCH_INTERVAL_HOURS) || undefined,
+    historyLimit: parseInt(process.env.SAVED_SEARCH_HISTORY) || undefined
+});
+
+// Price watches: checked hourly by default, reported item IDs kept out of responses
+const watchStore = new SavedSearchStore({
+    file: process.env.WATCHES_FILE || 'data/watches.json',
+    label: 'Watch',
+    intervalHours: parseFloat(process.env.WATCH_INTERVAL_HOURS) || 1,
+    historyLimit: parseInt(process.env.SAVED_SEARCH_HISTORY) || undefined,
+    privateFields: ['reportedItemIds']
+});
+
+module.exports = {
+    SavedSearchStore,
+    savedSearchStore,
+    watchStore,
+    parseIntervalHours
+};
@@ -0,0 +1,177 @@
+// Search filters shared by the sold, active and Browse API searches.
+//
+// Routes read the filters from the query string (or a JSON body) with
+// parseFilters(), then each pipeline translates them: to eBay search URL
+// parameters for the scrapers and to Browse API filter/category_ids for the
+// API search. Unset filters are left out so they do not change cache keys.
+
+const { getMarketplace } = require('./marketplaces');
+const { conditionFilterIds } = require('./conditions');
+const { FORMATS } = require('./buyingFormats');
+
+// eBay condition IDs behind each condition filter value (condition groups and individual conditions)
+const CONDITIONS = conditionFilterIds();
+
+// Buying format -> [search URL parameter, Browse API buyingOptions value]
+const BUYING_FORMATS = Object.fromEntries(FORMATS.map(format => [format.key, [format.searchParam, format.browseOption]]));
+
+// Item location -> LH_PrefLoc value; domestic means the marketplace's own country
+const LOCATIONS = {
+    domestic: '1',
+    north_america: '3',
+    worldwide: '2'
+};
+
+const FILTER_FIELDS = ['condition', 'minPrice', 'maxPrice', 'categoryId', 'buyingFormat', 'location', 'freeShipping'];
+
+// Comma separated list (or repeated parameter) of allowed values
+function parseList(value, allowed, name) {
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+        .map(entry => String(entry).trim().toLowerCase().replace(/[\s-]+/g, '_'))
+        .filter(Boolean);
+    const unknown = values.filter(entry => !allowed.includes(entry));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid ${name} "${unknown.join(', ')}" (expected ${allowed.join(', ')})`);
+    }
+    return [...new Set(values)].sort();
+}
+
+function parsePrice(value, name) {
+    const price = parseFloat(String(value).replace(/[$,]/g, ''));
+    if (isNaN(price) || price < 0) {
+        throw new Error(`Invalid ${name} "${value}"`);
+    }
+    return price;
+}
+
+// Read the filter parameters from a request query or body; throws on invalid values.
+// Returns only the filters that were set, e.g. { condition: ['used'], maxPrice: 50 }
+function parseFilters(source = {}) {
+    const filters = {};
+    const isSet = (name) => source[name] !== undefined && source[name] !== '' && source[name] !== null;
+
+    if (isSet('condition')) {
+        filters.condition = parseList(source.condition, Object.keys(CONDITIONS), 'condition');
+    }
+    if (isSet('minPrice')) {
+        filters.minPrice = parsePrice(source.minPrice, 'minPrice');
+    }
+    if (isSet('maxPrice')) {
+        filters.maxPrice = parsePrice(source.maxPrice, 'maxPrice');
+    }
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+        throw new Error('minPrice must not be greater than maxPrice');
+    }
+    if (isSet('categoryId')) {
+        if (!/^\d+$/.test(String(source.categoryId).trim())) {
+            throw new Error(`Invalid categoryId "${source.categoryId}"`);
+        }
+        filters.categoryId = String(source.categoryId).trim();
+    }
+    if (isSet('buyingFormat')) {
+        filters.buyingFormat = parseList(source.buyingFormat, Object.keys(BUYING_FORMATS), 'buyingFormat');
+    }
+    if (isSet('location')) {
+        filters.location = parseList(source.location, Object.keys(LOCATIONS), 'location')[0];
+    }
+    if (isSet('freeShipping') && ['1', 'true', 'on'].includes(String(source.freeShipping).toLowerCase())) {
+        filters.freeShipping = true;
+    }
+
+    // Empty lists (e.g. "condition=,") mean no filter
+    Object.keys(filters).forEach(name => {
+        if (Array.isArray(filters[name]) && filters[name].length === 0) {
+            delete filters[name];
+        }
+    });
+
+    return filters;
+}
+
+// Flat form of the filters for result cache keys
+function filterCacheParams(filters = {}) {
+    const params = {};
+    FILTER_FIELDS.forEach(name => {
+        if (filters[name] !== undefined) {
+            params[name] = Array.isArray(filters[name]) ? filters[name].join(',') : filters[name];
+        }
+    });
+    return params;
+}
+
+// Append the filters to an eBay search URL (https://www.ebay.com/sch/i.html?...)
+function applyToSearchUrl(searchUrl, filters = {}) {
+    const params = [];
+
+    if (filters.condition) {
+        const ids = filters.condition.flatMap(condition => CONDITIONS[condition]);
+        params.push(['LH_ItemCondition', ids.join('|')]);
+    }
+    if (filters.minPrice !== undefined) {
+        params.push(['_udlo', filters.minPrice]);
+    }
+    if (filters.maxPrice !== undefined) {
+        params.push(['_udhi', filters.maxPrice]);
+    }
+    if (filters.categoryId) {
+        params.push(['_sacat', filters.categoryId]);
+    }
+    if (filters.buyingFormat) {
+        filters.buyingFormat.forEach(format => params.push([BUYING_FORMATS[format][0], '1']));
+    }
+    if (filters.location) {
+        params.push(['LH_PrefLoc', LOCATIONS[filters.location]]);
+    }
+    if (filters.freeShipping) {
+        params.push(['LH_FS', '1']);
+    }
+
+    return searchUrl + params.map(([name, value]) => `&${name}=${encodeURIComponent(value)}`).join('');
+}
+
+// Browse API search parameters ({ filter, category_ids }) for the filters
+function toBrowseApiParams(filters = {}, marketplace = getMarketplace()) {
+    const clauses = [];
+
+    if (filters.condition) {
+        const ids = filters.condition.flatMap(condition => CONDITIONS[condition]);
+        clauses.push(`conditionIds:{${ids.join('|')}}`);
+    }
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+        // [min..max], [min] (at least min) or [..max] (at most max)
+        const min = filters.minPrice !== undefined ? filters.minPrice : '';
+        const max = filters.maxPrice !== undefined ? `..${filters.maxPrice}` : '';
+        clauses.push(`price:[${min}${max}]`, `priceCurrency:${marketplace.currency}`);
+    }
+    if (filters.buyingFormat) {
+        const options = filters.buyingFormat.map(format => BUYING_FORMATS[format][1]);
+        clauses.push(`buyingOptions:{${options.join('|')}}`);
+    }
+    if (filters.location === 'domestic') {
+        clauses.push(`itemLocationCountry:${marketplace.country}`);
+    } else if (filters.location === 'north_america') {
+        clauses.push('itemLocationRegion:NORTH_AMERICA');
+    }
+    if (filters.freeShipping) {
+        clauses.push('maxDeliveryCost:0');
+    }
+
+    const params = {};
+    if (clauses.length > 0) {
+        params.filter = clauses.join(',');
+    }
+    if (filters.categoryId) {
+        params.category_ids = filters.categoryId;
+    }
+    return params;
+}
+
+module.exports = {
+    CONDITIONS,
+    BUYING_FORMATS,
+    LOCATIONS,
+    parseFilters,
+    filterCacheParams,
+    applyToSearchUrl,
+    toBrowseApiParams
+};
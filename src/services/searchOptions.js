@@ -0,0 +1,39 @@
+const { parseFilters } = require('./searchFilters');
+const { getMarketplace } = require('./marketplaces');
+const { parseStatisticsOptions } = require('../analytics/statistics');
+const { parseHistogramOptions } = require('../analytics/histogram');
+const { parseRelevanceOptions } = require('../analytics/relevance');
+const { parseLotOptions } = require('../analytics/lots');
+const { parseBestOfferOptions } = require('../analytics/bestOffer');
+const { parseShippingOptions } = require('../analytics/shipping');
+const { parseSamplingOptions } = require('../analytics/sampling');
+
+// Search options shared by the server routes and the command line.
+
+// Parameter names parseSearch() reads
+const SEARCH_OPTIONS = [
+    'condition', 'minPrice', 'maxPrice', 'categoryId', 'buyingFormat', 'location', 'freeShipping',
+    'marketplace', 'outliers', 'outlierThreshold', 'bins', 'binWidth', 'exclude', 'minRelevance', 'accessories',
+    'pricing', 'bestOffer', 'bestOfferRatio', 'priceBasis', 'sampling', 'sampleSize'
+];
+
+// Search options from request parameters: { filters, marketplace, statistics, histogram, relevance, lots, bestOffers, shipping, sampling }.
+// Throws when any of them is invalid
+function parseSearch(source) {
+    return {
+        filters: parseFilters(source),
+        marketplace: getMarketplace(source.marketplace).code,
+        statistics: parseStatisticsOptions(source),
+        histogram: parseHistogramOptions(source),
+        relevance: parseRelevanceOptions(source),
+        lots: parseLotOptions(source),
+        bestOffers: parseBestOfferOptions(source),
+        shipping: parseShippingOptions(source),
+        sampling: parseSamplingOptions(source)
+    };
+}
+
+module.exports = {
+    SEARCH_OPTIONS,
+    parseSearch
+};
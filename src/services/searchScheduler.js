@@ -0,0 +1,94 @@
+const { historyEntry } = require('../analytics/marketSummary');
+const { throwIfAborted } = require('../utils/abort');
+
+// Re-runs saved searches when they are due.
+//
+// Every tick (a minute by default) the scheduler takes the saved searches whose
+// next run has passed and runs them one after another through
+// runSearch(search, signal), e.g. the server's market summary pipeline, so
+// scheduled scrapes never compete with each other for the browser pool. Each
+// run is recorded in the search's history (options.toEntry(result, runAt),
+// market summary headlines by default), failed runs included, and schedules
+// the next one. stop() aborts the run in progress.
+
+const DEFAULT_TICK_SECONDS = 60;
+
+class SearchScheduler {
+    constructor(store, runSearch, options = {}) {
+        this.store = store;
+        this.runSearch = runSearch;
+        this.tickSeconds = options.tickSeconds || DEFAULT_TICK_SECONDS;
+        this.toEntry = options.toEntry || historyEntry;
+        this.timer = null;
+        this.ticking = null;
+        this.controller = new AbortController();
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        console.log(`⏰ ${this.store.label} scheduler checking every ${this.tickSeconds}s`);
+        this.timer = setInterval(() => this.tick(), this.tickSeconds * 1000);
+        this.timer.unref();
+        this.tick();
+    }
+
+    // Run every due search unless the previous tick is still running
+    tick() {
+        if (this.ticking) {
+            return this.ticking;
+        }
+        this.ticking = (async () => {
+            try {
+                const due = await this.store.due();
+                for (const search of due) {
+                    throwIfAborted(this.controller.signal);
+                    console.log(`⏰ Running ${this.store.label.toLowerCase()} ${search.id}: ${search.keywords}`);
+                    // A failed run is already recorded; move on to the next search
+                    await this.run(search, this.controller.signal).catch(() => throwIfAborted(this.controller.signal));
+                }
+            } catch (error) {
+                console.error(`❌ ${this.store.label} scheduler:`, error.message);
+            } finally {
+                this.ticking = null;
+            }
+        })();
+        return this.ticking;
+    }
+
+    // Run one saved search now and record it; resolves with { summary, entry }
+    // (summary is what runSearch resolved with). Aborting `signal` rejects without recording the run
+    async run(search, signal) {
+        const runAt = new Date().toISOString();
+        let summary;
+        try {
+            summary = await this.runSearch(search, signal);
+        } catch (error) {
+            throwIfAborted(signal);
+            console.error(`❌ ${this.store.label} ${search.id} failed: ${error.message}`);
+            await this.store.recordRun(search.id, { runAt: runAt, success: false, errors: [{ source: 'search', message: error.message }] });
+            throw error;
+        }
+        throwIfAborted(signal);
+
+        const entry = this.toEntry(summary, runAt);
+        await this.store.recordRun(search.id, entry);
+        console.log(`⭐ ${this.store.label} ${search.id} recorded (${entry.success ? entry.partial ? 'partial' : 'ok' : 'failed'})`);
+        return { summary, entry };
+    }
+
+    // Stop ticking and abort the run in progress; resolves once it has settled
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.controller.abort(new Error('Scheduler stopped'));
+        if (this.ticking) {
+            await this.ticking;
+        }
+    }
+}
+
+module.exports = {
+    SearchScheduler
+};
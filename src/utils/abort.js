@@ -0,0 +1,53 @@
+// Helpers for threading an AbortSignal through scraping steps.
+// Every helper accepts an undefined signal and then behaves like the plain operation.
+
+// Error describing why the signal was aborted (its reason when that is an Error)
+function abortError(signal) {
+    const reason = signal && signal.reason;
+    if (reason instanceof Error) {
+        return reason;
+    }
+    const error = new Error(reason ? String(reason) : 'Operation aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError(signal);
+    }
+}
+
+// Settle with the promise, or reject as soon as the signal aborts
+function abortable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        promise.catch(() => {});
+        return Promise.reject(abortError(signal));
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            promise.catch(() => {});
+            reject(abortError(signal));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// AbortController that aborts itself with `message` after `ms`; call clear() when done
+function timeoutController(ms, message) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(message)), ms);
+    controller.clear = () => clearTimeout(timer);
+    return controller;
+}
+
+module.exports = {
+    abortError,
+    throwIfAborted,
+    abortable,
+    timeoutController
+};
@@ -0,0 +1,37 @@
+const { throwIfAborted } = require('./abort');
+
+// Run worker(item, index, signal) over items with at most `concurrency` running
+// at once; resolves with the results in item order. Once the signal aborts no
+// new items start and the call rejects after the running ones settle.
+// A worker that throws rejects the whole run the same way (no new items, then the
+// first error once the running ones settle), so workers should catch their own errors.
+async function mapConcurrent(items, concurrency, worker, signal) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const lane = async () => {
+        while (next < items.length && !failed) {
+            throwIfAborted(signal);
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index, signal);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const lanes = await Promise.allSettled(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, lane));
+    const rejected = lanes.find(outcome => outcome.status === 'rejected');
+    if (rejected) {
+        throw rejected.reason;
+    }
+    throwIfAborted(signal);
+    return results;
+}
+
+module.exports = {
+    mapConcurrent
+};
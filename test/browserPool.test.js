@@ -0,0 +1,68 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { BrowserPool } = require('../src/services/browserPool');
+
+// Pool whose browser hands out fake pages; page.goto resolves when `navigation` says so
+function fakePool(options = {}) {
+    const pool = new BrowserPool({ maxPages: 1, acquireTimeout: 2000, ...options });
+    const browser = {
+        isConnected: () => true,
+        newPage: async () => {
+            let closed = false;
+            return {
+                setViewport: async () => options.failSetup && options.failSetup(),
+                setUserAgent: async () => {},
+                evaluate: async () => true,
+                goto: () => (options.navigation ? options.navigation() : Promise.resolve()),
+                close: async () => {
+                    closed = true;
+                },
+                isClosed: () => closed
+            };
+        },
+        close: async () => {}
+    };
+    pool.getBrowser = async () => {
+        pool.browser = browser;
+        return browser;
+    };
+    return pool;
+}
+
+before(() => {
+    console.log = () => {};
+});
+
+test('a released page is not handed out before it is reset', async () => {
+    let finishReset;
+    const pool = fakePool({ navigation: () => new Promise(resolve => { finishReset = resolve; }) });
+    const page = await pool.acquire();
+
+    const releasing = pool.release(page);
+    let acquired = false;
+    const next = pool.acquire().then(nextPage => {
+        acquired = true;
+        return nextPage;
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(acquired, false);
+
+    finishReset();
+    await releasing;
+    assert.strictEqual(await next, page);
+});
+
+test('a failed page creation lets a waiting caller try', async () => {
+    let attempts = 0;
+    const pool = fakePool({
+        failSetup: () => {
+            if (attempts++ === 0) {
+                throw new Error('setViewport failed');
+            }
+        }
+    });
+
+    const [first, second] = await Promise.allSettled([pool.acquire(), pool.acquire()]);
+    assert.strictEqual(first.status, 'rejected');
+    assert.strictEqual(second.status, 'fulfilled');
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ebay-examen.js');
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('unknown flags are usage errors', () => {
+    const result = run('analyze', 'shure sm58', '--conditon', 'used');
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Unknown option "--conditon"/);
+    assert.strictEqual(result.stdout, '');
+});
+
+test('invalid search options are usage errors', () => {
+    const result = run('analyze', 'shure sm58', '--condition', 'mint');
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Invalid condition "mint"/);
+});
+
+test('help', () => {
+    const result = run('--help');
+
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /^Usage: ebay-examen analyze/);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, formatCsv } = require('../src/utils/csv');
+const { parseBulkCsv } = require('../src/services/bulkAnalysis');
+
+test('quoted fields keep their commas, quotes and line breaks', () => {
+    const text = 'title,cost\r\n"Shure SM58, boxed","49.99"\r\n"The ""original"" SM58\nwith cable",30\n';
+
+    assert.deepStrictEqual(parseCsv(text), [
+        ['title', 'cost'],
+        ['Shure SM58, boxed', '49.99'],
+        ['The "original" SM58\nwith cable', '30']
+    ]);
+});
+
+test('blank lines, a byte order mark and a missing final newline are handled', () => {
+    assert.deepStrictEqual(parseCsv('﻿a,b\n\n , \nc,'), [['a', 'b'], ['c', '']]);
+    assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('formatted CSV reads back as written', () => {
+    const rows = [['Shure "SM58", boxed', 49.99], ['Line one\nline two', null]];
+    const text = formatCsv(['title', 'cost'], rows);
+
+    assert.deepStrictEqual(parseCsv(text), [['title', 'cost'], ['Shure "SM58", boxed', '49.99'], ['Line one\nline two', '']]);
+    assert.strictEqual(formatCsv(['title'], [['=SUM(A1)']]), "title\r\n'=SUM(A1)\r\n");
+});
+
+test('bulk rows are read by header name, in any order', () => {
+    const rows = parseBulkCsv('Condition,Title,Cost\nOpen box,Shure SM58,$40\nused,Shure SM57,\n');
+
+    assert.deepStrictEqual(rows.map(row => [row.title, row.cost, row.condition, row.error]), [
+        ['Shure SM58', 40, 'open_box', null],
+        ['Shure SM57', null, 'used', null]
+    ]);
+});
+
+test('bulk rows without a header are title, cost, condition', () => {
+    const rows = parseBulkCsv('Shure SM58,25.50,for parts\nShure SM57\n');
+
+    assert.deepStrictEqual(rows.map(row => [row.row, row.title, row.cost, row.condition]), [
+        [1, 'Shure SM58', 25.5, 'for_parts'],
+        [2, 'Shure SM57', null, null]
+    ]);
+});
+
+test('missing columns and bad values are reported per row', () => {
+    const [row] = parseBulkCsv('title,condition\nShure SM58,used\n');
+    assert.deepStrictEqual([row.cost, row.condition, row.error], [null, 'used', null]);
+
+    const rows = parseBulkCsv('title,cost\n,10\nShure SM58,free\n');
+    assert.deepStrictEqual(rows.map(row => row.error), ['Missing title', 'Invalid cost "free"']);
+});
+
+test('uploads without rows or with too many are rejected', () => {
+    assert.throws(() => parseBulkCsv('title,cost\n'), /no rows/);
+    assert.throws(() => parseBulkCsv('a\nb\nc\n', 2), /3 rows \(at most 2 per upload\)/);
+});
@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildHistogram } = require('../src/analytics/histogram');
+
+test('bins line up on multiples of the width', () => {
+    const histogram = buildHistogram([1, 2.5, 7.5, 10], { binWidth: 2.5 });
+
+    assert.deepStrictEqual(histogram.bins.map(bin => [bin.min, bin.count]), [[0, 1], [2.5, 1], [5, 0], [7.5, 1], [10, 1]]);
+});
+
+test('a price on a bin edge stays in its bin', () => {
+    assert.deepStrictEqual(buildHistogram([12.45]).bins, [{ min: 12.45, max: 12.46, count: 1 }]);
+    assert.deepStrictEqual(buildHistogram([79.99]).bins, [{ min: 79.99, max: 80, count: 1 }]);
+});
@@ -0,0 +1,45 @@
+// Replay mode is read when the fixture store loads, so it is set before anything requires it
+process.env.EBAY_FIXTURE_MODE = 'replay';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const fixtureStore = require('../src/services/fixtureStore');
+const { scrapeActiveListings } = require('../src/services/listingSearch');
+const { parseSearch } = require('../src/services/searchOptions');
+
+// Every replayed search page is the saved page of the test, whatever its URL
+function replayPage(name) {
+    fixtureStore.loadPage = async () => fs.promises.readFile(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+before(() => {
+    console.log = () => {};
+});
+
+test('scraped active listings come back annotated', async () => {
+    replayPage('active-shure-sm58-uk.html');
+    const result = await scrapeActiveListings('shure sm58', parseSearch({ marketplace: 'uk' }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.totalActive, 2);
+    assert.deepStrictEqual(result.items.map(item => [item.itemId, item.condition, item.shippingCost, item.analyticsPrice]), [
+        ['335566778899', 'Used', 3.99, 64.99],
+        ['335599001122', 'Open box', 0, 575]
+    ]);
+    assert.deepStrictEqual(result.items[0].relevance, { score: 1, relevant: true, reasons: [] });
+    // The pair is flagged as a lot and counted per unit
+    assert.deepStrictEqual(result.items.map(item => [item.lot, item.quantity, item.unitPrice]), [[false, 1, 64.99], [true, 2, 575]]);
+    assert.strictEqual(result.analytics.lots.lotItems, 1);
+});
+
+test('shipping of a lot is counted once, not per unit', async () => {
+    replayPage('sold-shure-sm58.html');
+    const landed = await scrapeActiveListings('shure sm58', parseSearch({ priceBasis: 'landed' }));
+    const shipping = await scrapeActiveListings('shure sm58', parseSearch({ priceBasis: 'shipping' }));
+    const lot = (result) => result.items.find(item => item.quantity === 3);
+
+    assert.strictEqual(lot(landed).analyticsPrice, 18.33);
+    assert.strictEqual(lot(shipping).analyticsPrice, 9.99);
+});
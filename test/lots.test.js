@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectQuantity, annotateLot } = require('../src/analytics/lots');
+
+const quantity = (title) => detectQuantity(title).quantity;
+
+test('quantities written in the title', () => {
+    assert.strictEqual(quantity('Lot of 10 Shure SM58 Microphones'), 10);
+    assert.strictEqual(quantity('Shure SM58 Lot (5)'), 5);
+    assert.strictEqual(quantity('Shure SM58 Microphone 3 pcs'), 3);
+    assert.strictEqual(quantity('Pair of Shure SM58 Microphones'), 2);
+});
+
+test('an x written against the number is a multiplier', () => {
+    assert.strictEqual(quantity('4x Shure SM58 Microphones'), 4);
+    assert.strictEqual(quantity('Shure SM58 Microphone x4'), 4);
+    assert.strictEqual(quantity('Shure SM58 Microphone (x3)'), 3);
+});
+
+test('model names, capacities and magnifications are not quantities', () => {
+    assert.deepStrictEqual(detectQuantity('Apple iPhone X 256 GB Silver'), { quantity: 1, lot: false });
+    assert.deepStrictEqual(detectQuantity('iPhone X 64 GB'), { quantity: 1, lot: false });
+    assert.deepStrictEqual(detectQuantity('Nikon 2x teleconverter'), { quantity: 1, lot: false });
+    assert.strictEqual(quantity('Apple iPhone X64GB Space Gray'), 1);
+    assert.strictEqual(quantity('Fujifilm X100V Digital Camera'), 1);
+    assert.strictEqual(quantity('Canon 10x magnifier loupe'), 1);
+});
+
+test('a lot without a readable size is flagged at one unit', () => {
+    assert.deepStrictEqual(detectQuantity('Job lot of Shure microphones'), { quantity: 1, lot: true });
+});
+
+test('unit price of a lot', () => {
+    const item = annotateLot({ title: 'Lot of 4 Shure SM58 Microphones' }, 250);
+    assert.deepStrictEqual([item.quantity, item.lot, item.unitPrice], [4, true, 62.5]);
+    assert.strictEqual(annotateLot({ title: 'Lot of 4 Shure SM58' }, 0).unitPrice, null);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getMarketplace, searchUrl, parsePrice, formatPrice } = require('../src/services/marketplaces');
+
+test('prices as shown on US, UK and Canadian sites', () => {
+    assert.strictEqual(parsePrice('$1,234.56'), 1234.56);
+    assert.strictEqual(parsePrice('US $12.99'), 12.99);
+    assert.strictEqual(parsePrice('C $15.00'), 15);
+    assert.strictEqual(parsePrice('£1,150.00'), 1150);
+});
+
+test('prices with a decimal comma', () => {
+    assert.strictEqual(parsePrice('£1.234,56'), 1234.56);
+    assert.strictEqual(parsePrice('EUR 12,00'), 12);
+    assert.strictEqual(parsePrice('12,00 €'), 12);
+    assert.strictEqual(parsePrice('EUR 1.234,5'), 1234.5);
+});
+
+test('a separator before three digits groups thousands', () => {
+    assert.strictEqual(parsePrice('EUR 1.234'), 1234);
+    assert.strictEqual(parsePrice('$2,500'), 2500);
+});
+
+test('text without a price is 0', () => {
+    assert.strictEqual(parsePrice('Free'), 0);
+    assert.strictEqual(parsePrice(''), 0);
+    assert.strictEqual(parsePrice(null), 0);
+});
+
+test('marketplaces by code or eBay ID', () => {
+    assert.strictEqual(getMarketplace('EBAY_GB').code, 'uk');
+    assert.strictEqual(getMarketplace('gb').code, 'uk');
+    assert.strictEqual(getMarketplace().code, 'us');
+    assert.throws(() => getMarketplace('xx'), /Unknown marketplace "xx"/);
+    assert.strictEqual(searchUrl(getMarketplace('de'), '_nkw=sm58'), 'https://www.ebay.de/sch/i.html?_nkw=sm58');
+});
+
+test('prices formatted for the marketplace', () => {
+    assert.strictEqual(formatPrice(12, undefined, getMarketplace('uk')), '£12.00');
+    assert.match(formatPrice(1234.5, undefined, getMarketplace('de')), /^1\.234,50\s€$/);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findDeals, parseAlertOptions } = require('../src/analytics/priceAlerts');
+
+const item = (itemId, analyticsPrice, fields = {}) => ({
+    itemId: itemId,
+    title: `Shure SM58 ${itemId}`,
+    price: `$${analyticsPrice}`,
+    analyticsPrice: analyticsPrice,
+    buyingFormat: 'buy_it_now',
+    relevance: { score: 1, relevant: true, reasons: [] },
+    ...fields
+});
+
+test('listings at or under the threshold are deals', () => {
+    const { threshold, deals } = findDeals([item('1', 50), item('2', 70), item('3', 70.01)], 100, parseAlertOptions({}));
+
+    assert.strictEqual(threshold, 70);
+    assert.deepStrictEqual(deals.map(deal => [deal.itemId, deal.percentOfMedian]), [['1', 50], ['2', 70]]);
+});
+
+test('auctions, free or unpriced listings and flagged listings never alert', () => {
+    const items = [
+        item('1', 0.99, { buyingFormat: 'auction' }),
+        item('2', 0),
+        item('3', null),
+        item('4', 20, { relevance: { score: 0.2, relevant: false, reasons: ['accessory'] } }),
+        item('5', 60, { buyingFormat: 'best_offer' })
+    ];
+    assert.deepStrictEqual(findDeals(items, 75, { belowPercent: 90 }).deals.map(deal => deal.itemId), ['5']);
+});
+
+test('reported listings alert once', () => {
+    assert.deepStrictEqual(findDeals([item('1', 10), item('2', 10)], 100, {}, ['1']).deals.map(deal => deal.itemId), ['2']);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mapConcurrent } = require('../src/utils/queue');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('results come back in item order with bounded concurrency', async () => {
+    let running = 0;
+    let most = 0;
+    const results = await mapConcurrent([30, 10, 20, 5], 2, async (ms, index) => {
+        running++;
+        most = Math.max(most, running);
+        await delay(ms);
+        running--;
+        return index;
+    });
+
+    assert.deepStrictEqual(results, [0, 1, 2, 3]);
+    assert.strictEqual(most, 2);
+});
+
+test('a failing worker rejects once the running ones settle, and nothing new starts', async () => {
+    const started = [];
+    const settled = [];
+    await assert.rejects(mapConcurrent([0, 1, 2, 3], 2, async (item) => {
+        started.push(item);
+        if (item === 0) {
+            throw new Error('row 0 failed');
+        }
+        await delay(20);
+        settled.push(item);
+    }), /row 0 failed/);
+
+    assert.deepStrictEqual(started, [0, 1]);
+    assert.deepStrictEqual(settled, [1]);
+});
+
+test('an abort stops new items and rejects after the running ones settle', async () => {
+    const controller = new AbortController();
+    const settled = [];
+    const run = mapConcurrent([0, 1, 2, 3], 2, async (item) => {
+        await delay(20);
+        settled.push(item);
+    }, controller.signal);
+    controller.abort(new Error('Cancelled'));
+
+    await assert.rejects(run);
+    assert.deepStrictEqual(settled.sort(), [0, 1]);
+});
@@ -0,0 +1,70 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { ResultCache } = require('../src/services/resultCache');
+
+// Search that runs until its signal aborts, counting how often it was started
+function pendingSearch() {
+    const search = { runs: 0, aborted: false };
+    search.compute = (signal) => {
+        search.runs++;
+        return new Promise((_, reject) => signal.addEventListener('abort', () => {
+            search.aborted = true;
+            reject(signal.reason);
+        }));
+    };
+    return search;
+}
+
+before(() => {
+    console.log = () => {};
+});
+
+test('identical lookups share one search and then hit the cache', async () => {
+    const cache = new ResultCache();
+    let runs = 0;
+    const compute = async () => {
+        runs++;
+        return { success: true };
+    };
+
+    const [first, second] = await Promise.all([
+        cache.get('scrape-sold', 'Shure SM58', compute),
+        cache.get('scrape-sold', '  shure   sm58 ', compute)
+    ]);
+    const third = await cache.get('scrape-sold', 'shure sm58', compute);
+
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual([first.cache.status, second.cache.status, third.cache.status], ['MISS', 'COALESCED', 'HIT']);
+});
+
+test('the shared search is aborted once every caller with a signal gave up', async () => {
+    const cache = new ResultCache();
+    const search = pendingSearch();
+    const callers = [new AbortController(), new AbortController()];
+    const lookups = callers.map(controller => cache.get('scrape-sold', 'shure sm58', search.compute, { signal: controller.signal }));
+    // A caller without a signal can't cancel the search, nor keep it running for the others
+    const unsignalled = cache.get('scrape-sold', 'shure sm58', search.compute);
+
+    callers[0].abort(new Error('first gave up'));
+    await assert.rejects(lookups[0]);
+    assert.strictEqual(search.aborted, false);
+
+    callers[1].abort(new Error('second gave up'));
+    await assert.rejects(lookups[1]);
+    await assert.rejects(unsignalled, /second gave up/);
+    assert.strictEqual(search.aborted, true);
+    assert.strictEqual(search.runs, 1);
+});
+
+test('failed searches are not cached', async () => {
+    const cache = new ResultCache();
+    let runs = 0;
+    const compute = async () => {
+        runs++;
+        throw new Error('eBay unavailable');
+    };
+
+    await assert.rejects(cache.get('ebay-active', 'shure sm58', compute), /eBay unavailable/);
+    await assert.rejects(cache.get('ebay-active', 'shure sm58', compute), /eBay unavailable/);
+    assert.strictEqual(runs, 2);
+});
@@ -0,0 +1,52 @@
+// Replay mode is read when the fixture store loads, so it is set before anything requires it
+process.env.EBAY_FIXTURE_MODE = 'replay';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const fixtureStore = require('../src/services/fixtureStore');
+const { scrapeActiveListings, scrapeSoldListings } = require('../src/services/listingSearch');
+const { parseSearch } = require('../src/services/searchOptions');
+const { buildExport, parseExportOptions } = require('../src/services/resultExport');
+const { parseCsv } = require('../src/utils/csv');
+
+// Sold searches replay the sold page, active searches the active one
+before(() => {
+    console.log = () => {};
+    fixtureStore.loadPage = async (searchUrl, pageNumber) => {
+        if (pageNumber > 1) {
+            return null;
+        }
+        const name = searchUrl.includes('LH_Sold=1') ? 'sold-shure-sm58.html' : 'active-shure-sm58-uk.html';
+        return fs.promises.readFile(path.join(__dirname, 'fixtures', name), 'utf8');
+    };
+});
+
+// CSV items export as one object per row
+function exportedRows(sides) {
+    const file = buildExport('shure sm58', sides, null, parseExportOptions({ export: 'csv' }));
+    const [header, ...rows] = parseCsv(file.body);
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+}
+
+test('scraped active listings export a row per item', async () => {
+    const active = await scrapeActiveListings('shure sm58', parseSearch({ marketplace: 'uk' }));
+    const rows = exportedRows({ active });
+
+    assert.deepStrictEqual(rows.map(row => [row.source, row.itemId, row.analyticsPrice, row.quantity, row.lot]), [
+        ['active', '335566778899', '64.99', '1', 'false'],
+        ['active', '335599001122', '575', '2', 'true']
+    ]);
+});
+
+test('sold rows carry the analytics price and the Best Offer estimate', async () => {
+    const sold = await scrapeSoldListings('shure sm58', parseSearch({}));
+    const rows = exportedRows({ sold });
+
+    assert.deepStrictEqual(rows.map(row => [row.itemId, row.price, row.estimatedPrice, row.analyticsPrice]), [
+        ['186512345678', '$79.99', '', '79.99'],
+        ['296754321098', '$109.00', '92.65', '92.65'],
+        ['305511223344', '$45.00', '', '15']
+    ]);
+});
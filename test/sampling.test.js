@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { samplePlan, summarizeSampling, parseSamplingOptions } = require('../src/analytics/sampling');
+
+const pages = (plan) => plan.pages.map(page => [page.sort, page.offset, page.limit]);
+
+test('small result sets are fetched in full', () => {
+    const plan = samplePlan(120, parseSamplingOptions({}));
+
+    assert.strictEqual(plan.complete, true);
+    assert.strictEqual(plan.plannedSize, 120);
+    assert.deepStrictEqual(pages(plan), [['price', 0, 120]]);
+});
+
+test('strata take their share from the middle of each price range', () => {
+    const plan = samplePlan(1000, { sampling: 'stratified', sampleSize: 100 });
+
+    assert.strictEqual(plan.strata, 4);
+    assert.deepStrictEqual(pages(plan), [['price', 112, 25], ['price', 362, 25], ['price', 612, 25], ['price', 862, 25]]);
+});
+
+test('strata past the 10,000-result window are read from the descending sort', () => {
+    const plan = samplePlan(15000, { sampling: 'stratified', sampleSize: 100 });
+
+    assert.strictEqual(plan.clampedStrata, 0);
+    assert.strictEqual(plan.plannedSize, 100);
+    assert.deepStrictEqual(pages(plan)[3], ['-price', 1863, 25]);
+});
+
+test('unreachable strata are clamped, requested once and shrink the sample', () => {
+    const plan = samplePlan(50000, { sampling: 'stratified', sampleSize: 100 });
+
+    assert.strictEqual(plan.clampedStrata, 2);
+    assert.deepStrictEqual(pages(plan), [['price', 6237, 25], ['price', 9975, 25], ['-price', 6238, 25]]);
+    assert.strictEqual(plan.plannedSize, 75);
+    assert.ok(plan.pages.every(page => page.offset + page.limit <= 10000));
+
+    const summary = summarizeSampling(plan, { sampleSize: 100 }, 50000, 75);
+    assert.deepStrictEqual([summary.sampleSize, summary.plannedSize, summary.clampedStrata], [100, 75, 2]);
+});
+
+test('cheapest and newest read pages from the start', () => {
+    assert.deepStrictEqual(pages(samplePlan(5000, { sampling: 'cheapest', sampleSize: 300 })), [['price', 0, 200], ['price', 200, 100]]);
+    assert.deepStrictEqual(pages(samplePlan(5000, { sampling: 'newest', sampleSize: 150 })), [['newlyListed', 0, 150]]);
+});
+
+test('the Browse API sample is capped at 1,000 listings', () => {
+    assert.strictEqual(samplePlan(50000, { sampling: 'cheapest', sampleSize: 'all' }).plannedSize, 1000);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SavedSearchStore, parseIntervalHours } = require('../src/services/savedSearchStore');
+
+const HOUR = 3600 * 1000;
+
+let directory;
+
+before(async () => {
+    console.log = () => {};
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'saved-searches-'));
+});
+
+after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('saved searches survive a reload from disk', async () => {
+    const file = path.join(directory, 'round-trip.json');
+    const store = new SavedSearchStore({ file: file });
+    const search = await store.create({ keywords: 'shure sm58', options: { marketplace: 'uk' }, intervalHours: 12 });
+    await store.recordRun(search.id, { runAt: '2026-01-01T00:00:00.000Z', success: true });
+
+    const reloaded = await new SavedSearchStore({ file: file }).get(search.id);
+    assert.strictEqual(reloaded.name, 'shure sm58');
+    assert.deepStrictEqual(reloaded.options, { marketplace: 'uk' });
+    assert.strictEqual(reloaded.intervalHours, 12);
+    assert.strictEqual(reloaded.history.length, 1);
+    assert.strictEqual(reloaded.nextRunAt, '2026-01-01T12:00:00.000Z');
+    assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+
+    assert.strictEqual(await store.remove(search.id), true);
+    assert.deepStrictEqual(await new SavedSearchStore({ file: file }).list(), []);
+});
+
+test('a missing file is an empty store', async () => {
+    const store = new SavedSearchStore({ file: path.join(directory, 'missing.json') });
+    assert.deepStrictEqual(await store.list(), []);
+    assert.strictEqual(await store.remove('nope'), false);
+});
+
+test('history past the limit drops the oldest runs', async () => {
+    const store = new SavedSearchStore({ file: path.join(directory, 'history.json'), historyLimit: 2 });
+    const search = await store.create({ keywords: 'shure sm58' });
+    for (const day of ['01', '02', '03']) {
+        await store.recordRun(search.id, { runAt: `2026-01-${day}T00:00:00.000Z`, success: true });
+    }
+
+    assert.deepStrictEqual(search.history.map(entry => entry.runAt.slice(8, 10)), ['02', '03']);
+    assert.strictEqual(store.describe(search).runs, 2);
+});
+
+test('searches are due once their next run has passed', async () => {
+    const store = new SavedSearchStore({ file: path.join(directory, 'due.json') });
+    const now = Date.now();
+    const later = await store.create({ keywords: 'later', intervalHours: 2 });
+    const immediate = await store.create({ keywords: 'now', runNow: true });
+
+    assert.deepStrictEqual((await store.due(now + HOUR)).map(search => search.id), [immediate.id]);
+    assert.deepStrictEqual((await store.due(now + 3 * HOUR)).map(search => search.id), [later.id, immediate.id]);
+});
+
+test('intervals below an hour are rejected', () => {
+    assert.strictEqual(parseIntervalHours(''), 24);
+    assert.strictEqual(parseIntervalHours('6'), 6);
+    assert.throws(() => parseIntervalHours('0.5'), /Invalid intervalHours/);
+    assert.throws(() => parseIntervalHours('daily'), /Invalid intervalHours/);
+});
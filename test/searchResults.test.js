@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { parseSearchResultsFile, parseSearchResultsHtml } = require('../src/parsers/searchResults');
+
+// Fixture pages are result pages saved from the browser, trimmed to a few cards
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+test('sold results page: count and listing fields', async () => {
+    const { totalResults, items } = await parseSearchResultsFile(fixture('sold-shure-sm58.html'));
+
+    assert.strictEqual(totalResults, 1284);
+    assert.deepStrictEqual(items.map(item => item.itemId), ['186512345678', '296754321098', '305511223344']);
+    assert.deepStrictEqual(items[0], {
+        title: 'Shure SM58 Cardioid Dynamic Vocal Microphone',
+        price: '$79.99',
+        link: 'https://www.ebay.com/itm/186512345678?hash=item2b6c1e5d4e',
+        itemId: '186512345678',
+        conditionKey: 'used',
+        buyingFormat: 'buy_it_now',
+        bidCount: null,
+        bestOfferAccepted: false,
+        shipping: '$12.45',
+        soldDate: '2025-10-12'
+    });
+});
+
+test('sold results page: accepted Best Offer keeps the struck-through list price', async () => {
+    const { items } = await parseSearchResultsFile(fixture('sold-shure-sm58.html'));
+    const item = items[1];
+
+    assert.strictEqual(item.price, '$109.00');
+    assert.strictEqual(item.bestOfferAccepted, true);
+    assert.strictEqual(item.buyingFormat, 'best_offer');
+    assert.strictEqual(item.conditionKey, 'new');
+    assert.strictEqual(item.shipping, 'Free');
+    assert.strictEqual(item.soldDate, '2025-09-03');
+});
+
+test('sold results page: auction card with the item ID taken from its link', async () => {
+    const { items } = await parseSearchResultsFile(fixture('sold-shure-sm58.html'));
+    const item = items[2];
+
+    assert.strictEqual(item.itemId, '305511223344');
+    assert.strictEqual(item.buyingFormat, 'auction');
+    assert.strictEqual(item.bidCount, 12);
+    assert.strictEqual(item.conditionKey, 'for_parts');
+    assert.strictEqual(item.shipping, '$9.99');
+});
+
+test('active results page on a UK site', async () => {
+    const { totalResults, items } = await parseSearchResultsFile(fixture('active-shure-sm58-uk.html'));
+
+    assert.strictEqual(totalResults, 2312);
+    assert.strictEqual(items.length, 2);
+    assert.deepStrictEqual(items.map(item => [item.price, item.shipping, item.buyingFormat, item.soldDate]), [
+        ['£64.99', '£3.99', 'best_offer', null],
+        ['£1,150.00', 'Free', 'auction', null]
+    ]);
+    assert.strictEqual(items[1].bidCount, 0);
+    assert.strictEqual(items[1].conditionKey, 'open_box');
+});
+
+test('navigation spans styled as titles are not listings', async () => {
+    const { items } = await parseSearchResultsFile(fixture('sold-shure-sm58.html'));
+    assert.ok(items.every(item => item.title !== 'Shop on eBay'));
+});
+
+test('page without results', () => {
+    assert.deepStrictEqual(parseSearchResultsHtml('<html><body><p>No exact matches found</p></body></html>'), {
+        totalResults: 0,
+        items: []
+    });
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SavedSearchStore } = require('../src/services/savedSearchStore');
+const { SearchScheduler } = require('../src/services/searchScheduler');
+
+const HOUR = 3600 * 1000;
+
+// Entry with just the run time and outcome, instead of market summary headlines
+const toEntry = (summary, runAt) => ({ runAt: runAt, success: summary.success });
+
+let directory;
+
+before(async () => {
+    console.log = () => {};
+    console.error = () => {};
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'search-scheduler-'));
+});
+
+after(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('a tick runs only the due searches and schedules their next run', async () => {
+    const store = new SavedSearchStore({ file: path.join(directory, 'tick.json') });
+    const due = await store.create({ keywords: 'due', intervalHours: 6, runNow: true });
+    const waiting = await store.create({ keywords: 'waiting' });
+    const ran = [];
+    const scheduler = new SearchScheduler(store, async (search) => {
+        ran.push(search.keywords);
+        return { success: true };
+    }, { toEntry: toEntry });
+
+    await scheduler.tick();
+
+    assert.deepStrictEqual(ran, ['due']);
+    assert.strictEqual(due.history.length, 1);
+    assert.strictEqual(new Date(due.nextRunAt) - new Date(due.lastRunAt), 6 * HOUR);
+    assert.strictEqual(waiting.history.length, 0);
+    assert.deepStrictEqual(await store.due(), []);
+});
+
+test('a failed run is recorded and does not stop the others', async () => {
+    const store = new SavedSearchStore({ file: path.join(directory, 'failed.json') });
+    const failing = await store.create({ keywords: 'failing', runNow: true });
+    const working = await store.create({ keywords: 'working', runNow: true });
+    const scheduler = new SearchScheduler(store, async (search) => {
+        if (search.keywords === 'failing') {
+            throw new Error('eBay unavailable');
+        }
+        return { success: true };
+    }, { toEntry: toEntry });
+
+    await scheduler.tick();
+
+    assert.deepStrictEqual(failing.history[0].errors, [{ source: 'search', message: 'eBay unavailable' }]);
+    assert.strictEqual(failing.history[0].success, false);
+    assert.strictEqual(working.history[0].success, true);
+    assert.deepStrictEqual(await store.due(), []);
+});
+
+test('stopping aborts the run in progress without recording it', async () => {
+    const store = new SavedSearchStore({ file: path.join(directory, 'stopped.json') });
+    const search = await store.create({ keywords: 'slow', runNow: true });
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    const scheduler = new SearchScheduler(store, (_, signal) => new Promise((resolve, reject) => {
+        started();
+        signal.addEventListener('abort', () => reject(signal.reason));
+    }), { toEntry: toEntry });
+
+    scheduler.tick();
+    await running;
+    await scheduler.stop();
+
+    assert.strictEqual(search.history.length, 0);
+    assert.strictEqual(search.lastRunAt, null);
+});
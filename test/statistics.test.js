@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { priceStats } = require('../src/analytics/statistics');
+
+test('price statistics are rounded to cents', () => {
+    const stats = priceStats([10, 10, 10.01], { outliers: 'none' });
+
+    assert.strictEqual(stats.average, 10);
+    assert.strictEqual(stats.trimmedMean, 10);
+    assert.strictEqual(stats.stdDev, 0);
+});
+
+test('outliers are left out of every figure', () => {
+    const stats = priceStats([5, 80, 85, 90, 95, 100, 9999]);
+
+    assert.strictEqual(stats.sampleSize, 5);
+    assert.strictEqual(stats.outliersExcluded, 2);
+    assert.strictEqual(stats.lowest, 80);
+    assert.strictEqual(stats.highest, 100);
+    assert.strictEqual(stats.average, 90);
+    assert.strictEqual(stats.median, 90);
+});
@@ -1,115 +1,121 @@
 require('dotenv').config();
 const express = require('express');
-const puppeteer = require('puppeteer');
-const axios = require('axios');
+const fixtureStore = require('./src/services/fixtureStore');
+const { scrapeActiveListings, scrapeSoldListings, fetchActiveListings } = require('./src/services/listingSearch');
+const { resultCache } = require('./src/services/resultCache');
+const { jobStore } = require('./src/services/jobStore');
+const { filterCacheParams } = require('./src/services/searchFilters');
+const { parseSearch } = require('./src/services/searchOptions');
+const { buildMarketSummary } = require('./src/analytics/marketSummary');
+const { parseAlertOptions, findDeals, rememberReported, alertEntry } = require('./src/analytics/priceAlerts');
+const { savedSearchStore, watchStore, parseIntervalHours } = require('./src/services/savedSearchStore');
+const { SearchScheduler } = require('./src/services/searchScheduler');
+const { deliverWebhook, webhookUrl } = require('./src/services/alertWebhook');
+const { parseBulkCsv, runBulkAnalysis, bulkCsv } = require('./src/services/bulkAnalysis');
+const { parseExportOptions, buildExport } = require('./src/services/resultExport');
+const { browserPool } = require('./src/services/browserPool');
+const { timeoutController } = require('./src/utils/abort');
 
 const app = express();
 const PORT = process.env.PORT || 3023;
 
 app.use(express.json());
 
-// eBay API Configuration
-const EBAY_API_BASE_URL = 'https://api.ebay.com/buy/browse/v1';
-const EBAY_FINDING_API_URL = 'https://svcs.ebay.com/services/search/FindingService/v1';
-// eBay OAuth Client Credentials for Browse API (2-hour expiry, but auto-refreshable)
-const EBAY_CLIENT_ID = process.env.EBAY_CLIENT_ID;
-const EBAY_CLIENT_SECRET = process.env.EBAY_CLIENT_SECRET;
-
-// Check if environment variables are set
-if (!EBAY_CLIENT_ID || !EBAY_CLIENT_SECRET) {
+// Check if eBay OAuth credentials are set (replay mode never talks to eBay)
+if (fixtureStore.isReplaying()) {
+    console.log(`📼 Replay mode: serving eBay pages and API responses from ${fixtureStore.FIXTURE_DIR}`);
+} else if (!process.env.EBAY_CLIENT_ID || !process.env.EBAY_CLIENT_SECRET) {
     console.error('❌ Missing eBay OAuth credentials!');
     console.error('Please set EBAY_CLIENT_ID and EBAY_CLIENT_SECRET environment variables.');
     process.exit(1);
 }
 
-// OAuth Token Management (auto-refreshable)
-let currentToken = null;
-let tokenExpiry = null;
+// ?refresh=1 (or "refresh": true in a JSON body) bypasses cached results
+function wantsRefresh(req) {
+    const refresh = req.query.refresh !== undefined ? req.query.refresh : req.body?.refresh;
+    return ['1', 'true'].includes(String(refresh).toLowerCase());
+}
 
-// Function to get OAuth access token using Client Credentials
-async function getEbayAccessToken() {
+// Search options from the query string or JSON body (see services/searchOptions.js).
+// Sends the error response and returns null when any of them is invalid
+function requestSearch(req, res) {
     try {
-        console.log('🔄 Getting new eBay OAuth access token...');
-        
-        const response = await axios.post('https://api.ebay.com/identity/v1/oauth2/token', 
-            'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope',
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Authorization': `Basic ${Buffer.from(`${EBAY_CLIENT_ID}:${EBAY_CLIENT_SECRET}`).toString('base64')}`
-                }
-            }
-        );
-        
-        const tokenData = response.data;
-        currentToken = tokenData.access_token;
-        tokenExpiry = Date.now() + (tokenData.expires_in * 1000);
-        
-        console.log('✅ New OAuth token obtained, expires in', tokenData.expires_in, 'seconds');
-        return currentToken;
+        return parseSearch({ ...req.query, ...req.body });
     } catch (error) {
-        console.error('❌ Failed to get OAuth token:', error.response?.data || error.message);
-        throw error;
+        res.json({ success: false, message: error.message });
+        return null;
     }
 }
 
-// Function to refresh OAuth token if needed
-async function refreshEbayToken() {
+// Export options from the query string (see services/resultExport.js).
+// Sends the error response and returns null when they are invalid
+function requestExport(req, res) {
     try {
-        // Check if token is still valid
-        if (currentToken && tokenExpiry && Date.now() < tokenExpiry) {
-            return currentToken;
-        }
-        
-        // Get new token
-        return await getEbayAccessToken();
+        return parseExportOptions(req.query);
     } catch (error) {
-        console.error('❌ Token refresh failed:', error.message);
-        throw error;
+        res.json({ success: false, message: error.message });
+        return null;
     }
 }
 
-// Function to make eBay API calls with OAuth Token (auto-refreshable)
-async function makeEbayApiCall(url, params = {}, retryCount = 0) {
-    const maxRetries = 1;
-    
-    try {
-        // Ensure we have a valid token
-        if (!currentToken || (tokenExpiry && Date.now() >= tokenExpiry)) {
-            await refreshEbayToken();
+// Result cache parameters for a search's options
+function searchCacheParams(search) {
+    return {
+        ...filterCacheParams(search.filters),
+        marketplace: search.marketplace,
+        ...search.statistics,
+        ...search.histogram,
+        ...search.relevance,
+        exclude: search.relevance.exclude.join(','),
+        ...search.lots,
+        ...search.bestOffers,
+        ...search.shipping,
+        ...search.sampling
+    };
+}
+
+// Time budget for a sold listings scrape
+const SOLD_SCRAPE_TIMEOUT = 4 * 60 * 1000; // 4 minutes
+const SOLD_SCRAPE_TIMEOUT_MESSAGE = 'Scraping operation timed out after 4 minutes';
+
+// Controllers of requests still being served, aborted on shutdown
+const activeRequests = new Set();
+
+// AbortController for one request: aborts when the client disconnects, on
+// shutdown and, if a timeout is given, when the time budget runs out
+function requestAbortController(res, timeout, timeoutMessage) {
+    const controller = timeout ? timeoutController(timeout, timeoutMessage) : new AbortController();
+    activeRequests.add(controller);
+
+    res.on('close', () => {
+        if (!res.writableFinished && !controller.signal.aborted) {
+            console.log('🔌 Client disconnected, cancelling search');
+            controller.abort(new Error('Client disconnected'));
         }
-        
-        const response = await axios.get(url, {
-            headers: {
-                'Authorization': `Bearer ${currentToken}`,
-                'Content-Type': 'application/json',
-                'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US' // Required for Browse API
-            },
-            params: params
-        });
-        
-        return response;
-    } catch (error) {
-        // Check if it's a token expiration error (1001)
-        if (error.response?.data?.errors?.[0]?.errorId === 1001 && retryCount < maxRetries) {
-            console.log('🔄 OAuth token expired, attempting refresh...');
-            
-            try {
-                // Try to refresh the token
-                currentToken = await refreshEbayToken();
-                
-                // Retry the API call with new token
-                console.log('🔄 Retrying API call with refreshed token...');
-                return await makeEbayApiCall(url, params, retryCount + 1);
-            } catch (refreshError) {
-                console.error('❌ Token refresh failed:', refreshError.message);
-                throw error; // Throw original error if refresh fails
-            }
+        if (controller.clear) {
+            controller.clear();
         }
-        
-        // If it's not a token error or we've exhausted retries, throw the error
-        throw error;
-    }
+        activeRequests.delete(controller);
+    });
+
+    return controller;
+}
+
+// Send a cached search result with its freshness in headers and JSON
+function sendCachedResult(res, result) {
+    res.setHeader('Cache-Control', `private, max-age=${result.cache.expiresIn}`);
+    res.setHeader('Age', String(result.cache.age));
+    res.setHeader('X-Cache', result.cache.status);
+    res.json({ ...result.value, cache: result.cache });
+}
+
+// Send search results as a file download; sides maps 'sold' and/or 'active' to their payloads
+function sendExport(res, keywords, sides, metrics, exporting) {
+    const file = buildExport(keywords, sides, metrics, exporting);
+    console.log(`💾 Exporting ${keywords} as ${exporting.format}`);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
 }
 
 app.get('/api/scrape-active', async (req, res) => {
@@ -119,286 +125,24 @@ app.get('/api/scrape-active', async (req, res) => {
         return res.json({ success: false, message: 'Keywords required' });
     }
 
-    console.log(`🔍 Active listings search for: ${keywords}`);
+    const search = requestSearch(req, res);
+    const exporting = search && requestExport(req, res);
+    if (!exporting) {
+        return;
+    }
 
-    let browser;
+    const controller = requestAbortController(res);
     try {
-        // Use Chrome headless on Vercel with proper configuration
-        const launchOptions = {
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor',
-                '--memory-pressure-off',
-                '--max_old_space_size=4096'
-            ]
-        };
-
-        // On Vercel, try to use the system Chrome if available
-        if (process.env.VERCEL) {
-            launchOptions.executablePath = '/usr/bin/google-chrome-stable';
-        }
-
-        browser = await puppeteer.launch(launchOptions);
-        
-        console.log('📄 Creating new page...');
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1366, height: 768 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        console.log('✅ Page created and configured');
-        
-        // Navigate to eBay active search (no sold filter)
-        const searchUrl = `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(keywords)}&_sop=10`;
-        console.log(`📡 Navigating to: ${searchUrl}`);
-        
-        await page.goto(searchUrl, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
-
-        // Wait for content to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
-
-        // Get total results count
-        const totalResults = await page.evaluate(() => {
-            const resultsText = document.querySelector('.srp-controls__count-heading, .results-count, .srp-header__count');
-            if (resultsText) {
-                const text = resultsText.textContent;
-                const match = text.match(/(\d+(?:,\d+)*)/);
-                if (match) {
-                    return parseInt(match[1].replace(/,/g, ''));
-                }
-            }
-            return 0;
-        });
-
-        console.log(`📊 Total active results available: ${totalResults}`);
-
-        // Extract active listings (just first page for analytics)
-        const pageItems = await page.evaluate(() => {
-            const items = [];
-            
-            // Find all title spans
-            const titleSpans = document.querySelectorAll('span.su-styled-text.primary.default');
-            console.log(`🔍 Found ${titleSpans.length} title spans on active page`);
-            
-            titleSpans.forEach((titleSpan, index) => {
-                try {
-                    const title = titleSpan.textContent.trim();
-                    
-                    // Filter out non-item entries (same as sold)
-                    if (!title || 
-                        title.length < 10 || 
-                        title.includes('Shop on eBay') ||
-                        title.includes('Sponsored') ||
-                        title.includes('Brand New') ||
-                        title.includes('See all') ||
-                        title.includes('View') ||
-                        title.includes('Filter') ||
-                        title.includes('Sort') ||
-                        title.includes('Category') ||
-                        title.includes('Brand') ||
-                        title.includes('Condition') ||
-                        title.includes('Price') ||
-                        title.includes('Location') ||
-                        title.includes('Shipping') ||
-                        title.includes('Buying Format') ||
-                        title.includes('Show only') ||
-                        title.includes('Min. Number') ||
-                        title.includes('Game Type') ||
-                        title.includes('Age Level') ||
-                        title.includes('Item Location') ||
-                        title.includes('delivery') ||
-                        title.includes('Located') ||
-                        title.includes('Free returns') ||
-                        title.includes('Opens in') ||
-                        title.includes('Was:') ||
-                        title.includes('or Best Offer') ||
-                        title.includes('Completed listings') ||
-                        title.includes('Remove filter') ||
-                        title.includes('Clear All') ||
-                        title.includes('Filters') ||
-                        title.includes('Live shopping') ||
-                        title.includes('Join now') ||
-                        title.includes('Sold') ||
-                        title.includes('Oct') ||
-                        title.includes('Nov') ||
-                        title.includes('Dec') ||
-                        title.includes('Jan') ||
-                        title.includes('Feb') ||
-                        title.includes('Mar') ||
-                        title.includes('Apr') ||
-                        title.includes('May') ||
-                        title.includes('Jun') ||
-                        title.includes('Jul') ||
-                        title.includes('Aug') ||
-                        title.includes('Sep') ||
-                        // Filter out common navigation/category terms
-                        title === 'Sennheiser' ||
-                        title === 'audio tech' ||
-                        title === 'audio-technica' ||
-                        title === 'Dynamic Microphone' ||
-                        title === 'Stand-Held' ||
-                        title === 'Condenser Microphone' ||
-                        title === 'Microphone Receiver' ||
-                        title === 'Microphone System' ||
-                        title === 'Microphone Only' ||
-                        title === 'Table Array' ||
-                        title === 'Personal Computer' ||
-                        title === 'Smartphone' ||
-                        title === 'Karaoke Machine' ||
-                        title === 'Audio Mixer' ||
-                        // Filter out single words that are likely categories
-                        (title.length < 20 && !title.includes(' ') && !title.includes('-')) ||
-                        // Filter out titles that are just brand names
-                        title.match(/^[A-Z][a-z]+$/) ||
-                        // Filter out titles that look like navigation elements
-                        title.match(/^(New|Used|Refurbished|For Parts)$/i) ||
-                        // Filter out titles that are just product categories
-                        title.match(/^(Microphone|Audio|Computer|Phone|Machine|Mixer|System|Receiver|Array)$/i)) {
-                        console.log(`❌ Filtered out non-item: "${title}"`);
-                        return;
-                    }
-                    
-                    // Find the parent container that contains both title and price
-                    let parentContainer = titleSpan.closest('.s-item, .srp-item, .item, [data-view="item"], .s-item-wrapper, .s-item-container');
-                    
-                    if (!parentContainer) {
-                        // If no specific container found, use the parent element
-                        parentContainer = titleSpan.parentElement;
-                        while (parentContainer && !parentContainer.textContent.includes('$')) {
-                            parentContainer = parentContainer.parentElement;
-                        }
-                    }
-                    
-                    if (!parentContainer) {
-                        console.log(`❌ No parent container found for title: "${title}"`);
-                        return;
-                    }
-                    
-                    // Look for price in the parent container
-                    let price = '$0.00';
-                    const priceSelectors = [
-                        '.s-item__price',
-                        '.item-price',
-                        '.srp-item-price',
-                        '[data-testid="item-price"]',
-                        '.s-item__detail--primary',
-                        '.s-item__detail',
-                        '.price'
-                    ];
-                    
-                    for (const priceSelector of priceSelectors) {
-                        const priceEl = parentContainer.querySelector(priceSelector);
-                        if (priceEl) {
-                            const priceMatch = priceEl.textContent.match(/\$[\d,]+\.?\d*/);
-                            if (priceMatch) {
-                                price = priceMatch[0];
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // If no price found with selectors, try to extract from container text
-                    if (price === '$0.00') {
-                        const containerText = parentContainer.textContent;
-                        const priceMatch = containerText.match(/\$[\d,]+\.?\d*/);
-                        if (priceMatch) {
-                            price = priceMatch[0];
-                        }
-                    }
-                    
-                    // Skip if no valid price found
-                    if (price === '$0.00') {
-                        console.log(`❌ No price found for: "${title}"`);
-                        return;
-                    }
-                    
-                    // Determine condition
-                    let condition = 'Used';
-                    const containerText = parentContainer.textContent.toLowerCase();
-                    if (containerText.includes('brand new') || containerText.includes('new condition')) {
-                        condition = 'New';
-                    } else if (containerText.includes('refurbished')) {
-                        condition = 'Refurbished';
-                    }
-                    
-                    items.push({
-                        title: title,
-                        price: price,
-                        link: '#',
-                        condition: condition,
-                        soldDate: new Date().toISOString().split('T')[0]
-                    });
-                    
-                    console.log(`✅ Found active listing ${index + 1}: "${title}" - ${price}`);
-                    
-                } catch (error) {
-                    console.log(`❌ Error processing title span ${index}: ${error.message}`);
-                }
-            });
-            
-            console.log(`📊 Found ${items.length} valid active listings`);
-            return items;
+        const result = await resultCache.get('scrape-active', keywords, (signal) => scrapeActiveListings(keywords, { signal, ...search }), {
+            params: searchCacheParams(search),
+            refresh: wantsRefresh(req),
+            signal: controller.signal
         });
-
-        console.log(`📊 Active listings: Found ${pageItems.length} items`);
-
-        // Calculate analytics for active listings
-        const prices = pageItems.map(item => {
-            const priceStr = item.price.replace(/[$,]/g, '');
-            return parseFloat(priceStr) || 0;
-        }).filter(p => p > 0);
-
-        const newItems = pageItems.filter(item => item.condition.toLowerCase().includes('new'));
-        const usedItems = pageItems.filter(item => item.condition.toLowerCase().includes('used'));
-
-        const newPrices = newItems.map(item => {
-            const priceStr = item.price.replace(/[$,]/g, '');
-            return parseFloat(priceStr) || 0;
-        }).filter(p => p > 0);
-
-        const usedPrices = usedItems.map(item => {
-            const priceStr = item.price.replace(/[$,]/g, '');
-            return parseFloat(priceStr) || 0;
-        }).filter(p => p > 0);
-
-        const analytics = {
-            total: {
-                count: pageItems.length,
-                highest: prices.length > 0 ? Math.max(...prices) : 0,
-                lowest: prices.length > 0 ? Math.min(...prices) : 0,
-                average: prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0
-            },
-            new: {
-                count: newItems.length,
-                highest: newPrices.length > 0 ? Math.max(...newPrices) : 0,
-                lowest: newPrices.length > 0 ? Math.min(...newPrices) : 0,
-                average: newPrices.length > 0 ? newPrices.reduce((a, b) => a + b, 0) / newPrices.length : 0
-            },
-            used: {
-                count: usedItems.length,
-                highest: usedPrices.length > 0 ? Math.max(...usedPrices) : 0,
-                lowest: usedPrices.length > 0 ? Math.min(...usedPrices) : 0,
-                average: usedPrices.length > 0 ? usedPrices.reduce((a, b) => a + b, 0) / usedPrices.length : 0
-            }
-        };
-
-        res.json({
-            success: true,
-            message: `Found ${pageItems.length} active listings`,
-            analytics: analytics,
-            totalActive: pageItems.length
-        });
-
+        if (exporting.format) {
+            sendExport(res, keywords, { active: result.value }, null, exporting);
+        } else {
+            sendCachedResult(res, result);
+        }
     } catch (error) {
         console.error('Error:', error);
         res.json({
@@ -406,15 +150,10 @@ app.get('/api/scrape-active', async (req, res) => {
             message: `Active search failed: ${error.message}`,
             analytics: { 
                 total: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                new: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                used: { count: 0, highest: 0, lowest: 0, average: 0 } 
+                conditions: {}
             },
             totalActive: 0
         });
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
     }
 });
 
@@ -427,418 +166,32 @@ app.get('/api/scrape-sold', async (req, res) => {
         return res.json({ success: false, message: 'Keywords required' });
     }
     
+    const search = requestSearch(req, res);
+    const exporting = search && requestExport(req, res);
+    if (!exporting) {
+        return;
+    }
+
     res.setHeader('Content-Type', 'application/json');
 
-    console.log(`🔍 Title-targeted scraper searching for: ${keywords}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔧 Puppeteer available: ${typeof puppeteer !== 'undefined'}`);
-
-    // Set a timeout for the entire operation
-    const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-            reject(new Error('Scraping operation timed out after 4 minutes'));
-        }, 4 * 60 * 1000); // 4 minutes
-    });
 
-    const scrapingPromise = (async () => {
-        let browser;
-        try {
-        console.log('🚀 Launching Puppeteer browser...');
-        // Use the environment variable path or default to Chrome on Windows
-        const chromePath = process.env.PUPPETEER_EXECUTABLE_PATH || (process.platform === 'win32' ? 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe' : '/usr/bin/chromium-browser');
-        console.log(`🚀 Using Chrome at: ${chromePath}`);
-        
-        // Try launching with timeout and retry
-        let launchAttempts = 0;
-        const maxAttempts = 3;
-        
-        while (launchAttempts < maxAttempts) {
-            try {
-                console.log(`🚀 Launch attempt ${launchAttempts + 1}/${maxAttempts}`);
-                browser = await puppeteer.launch({ 
-                    headless: 'new',
-                    executablePath: chromePath,
-                    timeout: 30000,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-gpu',
-                        '--single-process',
-                        '--no-zygote',
-                        '--disable-web-security',
-                        '--disable-features=VizDisplayCompositor',
-                        '--memory-pressure-off',
-                        '--max_old_space_size=128',
-                        '--disable-extensions',
-                        '--disable-plugins',
-                        '--disable-default-apps',
-                        '--disable-sync',
-                        '--disable-translate',
-                        '--hide-scrollbars',
-                        '--mute-audio'
-                    ]
-                });
-                console.log(`✅ Browser launched successfully on attempt ${launchAttempts + 1}`);
-                break;
-            } catch (error) {
-                launchAttempts++;
-                console.log(`❌ Launch attempt ${launchAttempts} failed: ${error.message}`);
-                if (launchAttempts >= maxAttempts) {
-                    throw error;
-                }
-                console.log(`⏳ Waiting 2 seconds before retry...`);
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
-        console.log('✅ Browser launched successfully');
-        
-        // Create page with retry logic
-        let page;
-        let retries = 0;
-        const maxRetries = 3;
-        
-        while (retries < maxRetries) {
-            try {
-                console.log(`📄 Creating new page... (attempt ${retries + 1}/${maxRetries})`);
-                page = await browser.newPage();
-                await page.setViewport({ width: 1366, height: 768 });
-                await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-                console.log('✅ Page created and configured');
-                break;
-            } catch (error) {
-                retries++;
-                console.log(`❌ Page creation failed (attempt ${retries}/${maxRetries}): ${error.message}`);
-                if (retries >= maxRetries) {
-                    throw error;
-                }
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-        }
-        
-        // Navigate to eBay sold search
-        const searchUrl = `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(keywords)}&LH_Sold=1&LH_Complete=1&_sop=10`;
-        console.log(`📡 Navigating to: ${searchUrl}`);
-        
-        await page.goto(searchUrl, { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
-
-        // Wait for content to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
+    // Abort the scrape on timeout or when the client goes away
+    const controller = requestAbortController(res, SOLD_SCRAPE_TIMEOUT, SOLD_SCRAPE_TIMEOUT_MESSAGE);
 
-        // Get total results count
-        const totalResults = await page.evaluate(() => {
-            const resultsText = document.querySelector('.srp-controls__count-heading, .results-count, .srp-header__count');
-            if (resultsText) {
-                const text = resultsText.textContent;
-                const match = text.match(/(\d+(?:,\d+)*)/);
-                if (match) {
-                    return parseInt(match[1].replace(/,/g, ''));
-                }
-            }
-            return 0;
+    try {
+        const result = await resultCache.get('scrape-sold', keywords, (signal) => scrapeSoldListings(keywords, { signal, ...search }), {
+            params: searchCacheParams(search),
+            refresh: wantsRefresh(req),
+            signal: controller.signal
         });
-
-        console.log(`📊 Total results available: ${totalResults}`);
-
-        // Extract listings using the specific title selector with limited pagination for sample
-        let allItems = [];
-        let currentPage = 1;
-        const maxPages = Math.min(3, Math.ceil(150 / 20)); // Limit to ~3 pages for 150 items sample
-        
-        while (currentPage <= maxPages && allItems.length < 150) {
-            console.log(`📄 Scraping page ${currentPage}... (Sample: ${allItems.length}/150)`);
-            
-            const pageItems = await page.evaluate(() => {
-                const items = [];
-                
-                // Find all title spans
-                const titleSpans = document.querySelectorAll('span.su-styled-text.primary.default');
-                console.log(`🔍 Found ${titleSpans.length} title spans on this page`);
-                
-                titleSpans.forEach((titleSpan, index) => {
-                    try {
-                        const title = titleSpan.textContent.trim();
-                        
-                        // Filter out only obvious non-item entries
-                        if (!title || 
-                            title.length < 10 || 
-                            title.includes('Shop on eBay') ||
-                            title.includes('See all') ||
-                            title.includes('View') ||
-                            title.includes('Filter') ||
-                            title.includes('Sort') ||
-                            title.includes('Category') ||
-                            title.includes('Brand') ||
-                            title.includes('Condition') ||
-                            title.includes('Price') ||
-                            title.includes('Location') ||
-                            title.includes('Shipping') ||
-                            title.includes('Buying Format') ||
-                            title.includes('Show only') ||
-                            title.includes('Min. Number') ||
-                            title.includes('Game Type') ||
-                            title.includes('Age Level') ||
-                            title.includes('Item Location') ||
-                            title.includes('Remove filter') ||
-                            title.includes('Clear All') ||
-                            title.includes('Filters') ||
-                            title.includes('Live shopping') ||
-                            title.includes('Join now') ||
-                            // Filter out single words that are likely categories
-                            (title.length < 20 && !title.includes(' ') && !title.includes('-')) ||
-                            // Filter out titles that are just brand names
-                            title.match(/^[A-Z][a-z]+$/) ||
-                            // Filter out titles that look like navigation elements
-                            title.match(/^(New|Used|Refurbished|For Parts)$/i) ||
-                            // Filter out titles that are just product categories
-                            title.match(/^(Microphone|Audio|Computer|Phone|Machine|Mixer|System|Receiver|Array)$/i)) {
-                            console.log(`❌ Filtered out non-item: "${title}"`);
-                            return;
-                        }
-                        
-                        // Find the parent container that contains both title and price
-                        let parentContainer = titleSpan.closest('.s-item, .srp-item, .item, [data-view="item"], .s-item-wrapper, .s-item-container');
-                        
-                        if (!parentContainer) {
-                            // If no specific container found, use the parent element
-                            parentContainer = titleSpan.parentElement;
-                            while (parentContainer && !parentContainer.textContent.includes('$')) {
-                                parentContainer = parentContainer.parentElement;
-                            }
-                        }
-                        
-                        if (!parentContainer) {
-                            console.log(`❌ No parent container found for title: "${title}"`);
-                            return;
-                        }
-                        
-                        // Look for price in the parent container
-                        let price = '$0.00';
-                        const priceSelectors = [
-                            '.s-item__price',
-                            '.item-price',
-                            '.srp-item-price',
-                            '[data-testid="item-price"]',
-                            '.s-item__detail--primary',
-                            '.s-item__detail',
-                            '.price'
-                        ];
-                        
-                        for (const priceSelector of priceSelectors) {
-                            const priceEl = parentContainer.querySelector(priceSelector);
-                            if (priceEl) {
-                                const priceMatch = priceEl.textContent.match(/\$[\d,]+\.?\d*/);
-                                if (priceMatch) {
-                                    price = priceMatch[0];
-                                    break;
-                                }
-                            }
-                        }
-                        
-                        // If no price found with selectors, try to extract from container text
-                        if (price === '$0.00') {
-                            const containerText = parentContainer.textContent;
-                            const priceMatch = containerText.match(/\$[\d,]+\.?\d*/);
-                            if (priceMatch) {
-                                price = priceMatch[0];
-                            }
-                        }
-                        
-                        // Skip if no valid price found
-                        if (price === '$0.00') {
-                            console.log(`❌ No price found for: "${title}"`);
-                            return;
-                        }
-                        
-                        // Determine condition
-                        let condition = 'Used';
-                        const containerText = parentContainer.textContent.toLowerCase();
-                        if (containerText.includes('brand new') || containerText.includes('new condition')) {
-                            condition = 'New';
-                        } else if (containerText.includes('refurbished')) {
-                            condition = 'Refurbished';
-                        }
-                        
-                        // Try to find the actual eBay URL
-                        let itemUrl = '#';
-                        const linkEl = parentContainer.querySelector('a[href*="ebay.com"]');
-                        if (linkEl) {
-                            itemUrl = linkEl.href;
-                        }
-                        
-                        items.push({
-                            title: title,
-                            price: price,
-                            link: itemUrl,
-                            condition: condition,
-                            soldDate: new Date().toISOString().split('T')[0]
-                        });
-                        
-                        console.log(`✅ Found listing ${index + 1}: "${title}" - ${price}`);
-                        
-                    } catch (error) {
-                        console.log(`❌ Error processing title span ${index}: ${error.message}`);
-                    }
-                });
-                
-                console.log(`📊 Found ${items.length} valid listings on this page`);
-                return items;
-            });
-            
-            allItems.push(...pageItems);
-            console.log(`📊 Page ${currentPage}: Found ${pageItems.length} listings (Total: ${allItems.length})`);
-            
-            // Check if we have enough samples or no more items
-            if (allItems.length >= 150) {
-                console.log(`📊 Sample complete: ${allItems.length} items collected for pricing analysis`);
-                break;
-            }
-            
-            if (pageItems.length === 0) {
-                console.log(`📄 No items found on page ${currentPage}, stopping pagination`);
-                break;
-            }
-            
-            // Navigate to next page
-            if (currentPage < maxPages) {
-                try {
-                    const nextButton = await page.$('.pagination__next, .pagination-next, [aria-label="Next page"], .srp-pagination__next');
-                    if (nextButton) {
-                        const isDisabled = await page.evaluate(el => el.getAttribute('aria-disabled') === 'true', nextButton);
-                        if (!isDisabled) {
-                            await nextButton.click();
-                            await new Promise(resolve => setTimeout(resolve, 3000));
-                        } else {
-                            console.log(`📄 Next button disabled on page ${currentPage}`);
-                            break;
-                        }
-                    } else {
-                        console.log(`📄 No next button found on page ${currentPage}`);
-                        break;
-                    }
-                } catch (error) {
-                    console.log(`📄 Error navigating to page ${currentPage + 1}: ${error.message}`);
-                    break;
-                }
-            }
-            
-            currentPage++;
+        if (res.headersSent) {
+            return;
         }
-        
-        const pageItems = allItems;
-
-        console.log(`📊 Sample: Found ${pageItems.length} listings for pricing analysis`);
-        console.log(`📊 Total available: ${totalResults} sold listings`);
-        
-        // Calculate analytics based on sample
-        const prices = pageItems.map(item => {
-            const priceStr = item.price.replace(/[$,]/g, '');
-            return parseFloat(priceStr) || 0;
-        }).filter(p => p > 0);
-
-        const newItems = pageItems.filter(item => item.condition.toLowerCase().includes('new'));
-        const usedItems = pageItems.filter(item => item.condition.toLowerCase().includes('used'));
-        
-        // Calculate proportional estimates for New vs Used based on sample
-        const sampleSize = pageItems.length;
-        const newRatio = sampleSize > 0 ? newItems.length / sampleSize : 0;
-        const usedRatio = sampleSize > 0 ? usedItems.length / sampleSize : 0;
-        
-        const estimatedNewCount = Math.round(totalResults * newRatio);
-        const estimatedUsedCount = Math.round(totalResults * usedRatio);
-        
-        console.log(`📊 Sample breakdown: ${newItems.length} new, ${usedItems.length} used (${(newRatio*100).toFixed(1)}% new, ${(usedRatio*100).toFixed(1)}% used)`);
-        console.log(`📊 Estimated totals: ${estimatedNewCount} new, ${estimatedUsedCount} used`);
-
-        const newPrices = newItems.map(item => {
-            const priceStr = item.price.replace(/[$,]/g, '');
-            return parseFloat(priceStr) || 0;
-        }).filter(p => p > 0);
-
-        const usedPrices = usedItems.map(item => {
-            const priceStr = item.price.replace(/[$,]/g, '');
-            return parseFloat(priceStr) || 0;
-        }).filter(p => p > 0);
-
-        const analytics = {
-            total: {
-                count: totalResults, // Use actual total, not sample size
-                highest: prices.length > 0 ? Math.max(...prices) : 0,
-                lowest: prices.length > 0 ? Math.min(...prices) : 0,
-                average: prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0
-            },
-            new: {
-                count: estimatedNewCount, // Estimated total based on sample ratio
-                highest: newPrices.length > 0 ? Math.max(...newPrices) : 0,
-                lowest: newPrices.length > 0 ? Math.min(...newPrices) : 0,
-                average: newPrices.length > 0 ? newPrices.reduce((a, b) => a + b, 0) / newPrices.length : 0
-            },
-            used: {
-                count: estimatedUsedCount, // Estimated total based on sample ratio
-                highest: usedPrices.length > 0 ? Math.max(...usedPrices) : 0,
-                lowest: usedPrices.length > 0 ? Math.min(...usedPrices) : 0,
-                average: usedPrices.length > 0 ? usedPrices.reduce((a, b) => a + b, 0) / usedPrices.length : 0
-            }
-        };
-
-        // Ensure we always send valid JSON
-        try {
-            res.json({
-                success: true,
-                message: `Found ${totalResults} total sold listings (analyzed ${pageItems.length} for pricing)`,
-                analytics: analytics,
-                items: pageItems,
-                totalSold: totalResults
-            });
-        } catch (jsonError) {
-            console.error('Failed to send JSON response:', jsonError);
-            res.status(500).send('Internal server error');
-        }
-
-    } catch (error) {
-        console.error('Puppeteer failed:', error);
-        console.error('Error details:', {
-            name: error.name,
-            message: error.message,
-            stack: error.stack
-        });
-        
-        // Ensure we always send valid JSON
-        try {
-            res.json({
-                success: false,
-                message: `Scraping failed: ${error.message}`,
-                analytics: { 
-                    total: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                    new: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                    used: { count: 0, highest: 0, lowest: 0, average: 0 } 
-                },
-                items: [],
-                totalSold: 0
-            });
-        } catch (jsonError) {
-            console.error('Failed to send JSON response:', jsonError);
-            res.status(500).send('Internal server error');
-        }
-        } finally {
-            if (browser) {
-                try {
-                    await browser.close();
-                } catch (closeError) {
-                    console.error('Error closing browser:', closeError);
-                }
-            }
-        }
-    })();
-
-    // Race between scraping and timeout
-    try {
-        const result = await Promise.race([scrapingPromise, timeoutPromise]);
-        if (!res.headersSent) {
-            res.json(result);
+        if (exporting.format) {
+            sendExport(res, keywords, { sold: result.value }, null, exporting);
+        } else {
+            sendCachedResult(res, result);
         }
     } catch (error) {
         console.error('Scraping failed:', error);
@@ -848,8 +201,7 @@ app.get('/api/scrape-sold', async (req, res) => {
                 message: `Scraping failed: ${error.message}`,
                 analytics: { 
                     total: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                    new: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                    used: { count: 0, highest: 0, lowest: 0, average: 0 } 
+                    conditions: {}
                 },
                 items: [],
                 totalSold: 0
@@ -858,123 +210,131 @@ app.get('/api/scrape-sold', async (req, res) => {
     }
 });
 
-// eBay API endpoint for Active listings
-app.get('/api/ebay-active', async (req, res) => {
-    const { keywords, limit = 50 } = req.query;
+// Start a sold listings scrape in the background; follow it through /api/jobs/:id
+app.post('/api/scrape-sold/jobs', (req, res) => {
+    const keywords = req.body?.keywords || req.query.keywords;
     
     if (!keywords) {
         return res.json({ success: false, message: 'Keywords required' });
     }
 
-    console.log(`🔍 eBay API Active search for: ${keywords}`);
+    const search = requestSearch(req, res);
+    if (!search) {
+        return;
+    }
 
-    try {
-        // First, get the total count without pagination limits
-        const countResponse = await makeEbayApiCall(`${EBAY_API_BASE_URL}/item_summary/search`, {
-            q: keywords,
-            limit: 1, // Just get 1 item to get the total count
-            sort: 'price'
+    const refresh = wantsRefresh(req);
+    const job = jobStore.create('scrape-sold', { keywords, ...search }, async (reportProgress, jobSignal) => {
+        const result = await resultCache.get('scrape-sold', keywords, (signal) => scrapeSoldListings(keywords, { signal, ...search, onProgress: reportProgress }), {
+            params: searchCacheParams(search),
+            refresh: refresh,
+            signal: jobSignal
         });
+        return { ...result.value, cache: result.cache };
+    }, {
+        timeout: SOLD_SCRAPE_TIMEOUT,
+        timeoutMessage: SOLD_SCRAPE_TIMEOUT_MESSAGE
+    });
 
-        const totalCount = countResponse.data.total || 0;
-        console.log(`📊 eBay Browse API total available: ${totalCount} active listings`);
-
-        // Now get a representative sample for analytics (up to 150 items)
-        let allItems = [];
-        let offset = 0;
-        const maxResults = Math.min(150, totalCount);
-        const itemsPerPage = 50;
-        
-        while (allItems.length < maxResults && allItems.length < totalCount) {
-            const response = await makeEbayApiCall(`${EBAY_API_BASE_URL}/item_summary/search`, {
-                q: keywords,
-                limit: Math.min(itemsPerPage, maxResults - allItems.length),
-                sort: 'price',
-                offset: offset
-            });
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    });
+});
 
-            const pageItems = response.data.itemSummaries || [];
-            console.log(`📊 eBay Browse API page ${Math.floor(offset/itemsPerPage) + 1}: found ${pageItems.length} active listings`);
-            
-            if (pageItems.length === 0) {
-                console.log('📊 No more items found, stopping pagination');
-                break;
-            }
-            
-            allItems.push(...pageItems);
-            offset += itemsPerPage;
-            
-            // Stop if we got fewer items than requested (last page)
-            if (pageItems.length < itemsPerPage) {
-                console.log('📊 Last page reached, stopping pagination');
-                break;
-            }
+// Poll a background job; the result is included once it has completed
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobStore.get(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.json({ success: true, ...jobStore.snapshot(job) });
+});
+
+// Cancel a running background job
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobStore.get(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const cancelled = jobStore.cancel(job.id);
+    res.json({
+        success: cancelled,
+        message: cancelled ? 'Job cancelled' : `Job already ${job.status}`
+    });
+});
+
+// Stream job progress as Server-Sent Events ("progress", then "completed", "failed" or "cancelled")
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobStore.get(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+    });
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const send = (snapshot) => {
+        const event = snapshot.status === 'running' ? 'progress' : snapshot.status;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+        if (snapshot.status !== 'running') {
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
         }
+    };
 
-        const items = allItems;
-        console.log(`📊 eBay Browse API sampled ${items.length} items from ${totalCount} total active listings`);
-
-        // Calculate analytics
-        const prices = items.map(item => {
-            const price = item.price?.value || 0;
-            return parseFloat(price) || 0;
-        }).filter(p => p > 0);
-
-        const newItems = items.filter(item => 
-            item.condition?.conditionId === '3000' || 
-            item.condition?.conditionDisplayName?.toLowerCase().includes('new')
-        );
-        const usedItems = items.filter(item => 
-            item.condition?.conditionId === '4000' || 
-            item.condition?.conditionDisplayName?.toLowerCase().includes('used')
-        );
-
-        const newPrices = newItems.map(item => parseFloat(item.price?.value || 0)).filter(p => p > 0);
-        const usedPrices = usedItems.map(item => parseFloat(item.price?.value || 0)).filter(p => p > 0);
-
-        const analytics = {
-            total: {
-                count: totalCount, // Use real total count, not sampled count
-                highest: prices.length > 0 ? Math.max(...prices) : 0,
-                lowest: prices.length > 0 ? Math.min(...prices) : 0,
-                average: prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0
-            },
-            new: {
-                count: Math.round((newItems.length / items.length) * totalCount), // Estimate based on sample
-                highest: newPrices.length > 0 ? Math.max(...newPrices) : 0,
-                lowest: newPrices.length > 0 ? Math.min(...newPrices) : 0,
-                average: newPrices.length > 0 ? newPrices.reduce((a, b) => a + b, 0) / newPrices.length : 0
-            },
-            used: {
-                count: Math.round((usedItems.length / items.length) * totalCount), // Estimate based on sample
-                highest: usedPrices.length > 0 ? Math.max(...usedPrices) : 0,
-                lowest: usedPrices.length > 0 ? Math.min(...usedPrices) : 0,
-                average: usedPrices.length > 0 ? usedPrices.reduce((a, b) => a + b, 0) / usedPrices.length : 0
-            }
-        };
+    send(jobStore.snapshot(job));
+    if (!jobStore.isFinished(job)) {
+        unsubscribe = jobStore.subscribe(job.id, send);
+    }
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
 
-        // Format items for display
-        const formattedItems = items.map(item => ({
-            title: item.title,
-            price: `$${parseFloat(item.price?.value || 0).toFixed(2)}`,
-            link: item.itemWebUrl || '#',
-            condition: item.condition?.conditionDisplayName || 'Unknown',
-            image: item.image?.imageUrl || '',
-            itemId: item.itemId,
-            buyItNowPrice: item.price?.value ? `$${parseFloat(item.price.value).toFixed(2)}` : 'N/A',
-            timeLeft: item.buyingOptions?.includes('AUCTION') ? 'Auction' : 'Buy It Now'
-        }));
+// eBay API endpoint for Active listings
+app.get('/api/ebay-active', async (req, res) => {
+    const { keywords } = req.query;
+    
+    if (!keywords) {
+        return res.json({ success: false, message: 'Keywords required' });
+    }
 
-        res.json({
-            success: true,
-            message: `Found ${totalCount} total active listings via eBay API (sampled ${items.length} for analytics)`,
-            analytics: analytics,
-            items: formattedItems,
-            totalActive: totalCount, // Real total count
-            sampledActive: items.length, // Sample size for analytics
-            source: 'eBay API'
-        });
+    const search = requestSearch(req, res);
+    const exporting = search && requestExport(req, res);
+    if (!exporting) {
+        return;
+    }
 
+    const controller = requestAbortController(res);
+    try {
+        const result = await resultCache.get('ebay-active', keywords, (signal) => fetchActiveListings(keywords, { signal, ...search }), {
+            params: searchCacheParams(search),
+            refresh: wantsRefresh(req),
+            signal: controller.signal
+        });
+        if (exporting.format) {
+            sendExport(res, keywords, { active: result.value }, null, exporting);
+        } else {
+            sendCachedResult(res, result);
+        }
     } catch (error) {
         console.error('eBay API Error:', error.response?.data || error.message);
         res.json({
@@ -982,8 +342,7 @@ app.get('/api/ebay-active', async (req, res) => {
             message: `eBay API search failed: ${error.response?.data?.message || error.message}`,
             analytics: { 
                 total: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                new: { count: 0, highest: 0, lowest: 0, average: 0 }, 
-                used: { count: 0, highest: 0, lowest: 0, average: 0 } 
+                conditions: {}
             },
             items: [],
             totalActive: 0,
@@ -992,6 +351,364 @@ app.get('/api/ebay-active', async (req, res) => {
     }
 });
 
+// One side of the market summary through the result cache; a failure becomes { success: false, message }
+async function marketSummarySide(source, search, keywords, fn, options) {
+    try {
+        const result = await resultCache.get(source, keywords, (signal) => fn(keywords, { signal, ...search }), {
+            params: searchCacheParams(search),
+            refresh: options.refresh,
+            signal: options.signal
+        });
+        return { ...result.value, cache: result.cache };
+    } catch (error) {
+        console.error(`Market summary ${source} failed:`, error.message);
+        return { success: false, message: error.message };
+    }
+}
+
+// Both sides of the market summary side by side. Options: { refresh, signal }
+async function runMarketSummary(keywords, search, options) {
+    const [sold, active] = await Promise.all([
+        marketSummarySide('scrape-sold', search, keywords, scrapeSoldListings, options),
+        marketSummarySide('ebay-active', search, keywords, fetchActiveListings, options)
+    ]);
+    return buildMarketSummary(keywords, sold, active);
+}
+
+// Sold scrape and Browse API active search run side by side, plus sell-through,
+// price gap and months of supply; one side failing still returns the other
+app.get('/api/market-summary', async (req, res) => {
+    const { keywords } = req.query;
+
+    if (!keywords) {
+        return res.json({ success: false, message: 'Keywords required' });
+    }
+
+    const search = requestSearch(req, res);
+    const exporting = search && requestExport(req, res);
+    if (!exporting) {
+        return;
+    }
+
+    const controller = requestAbortController(res, SOLD_SCRAPE_TIMEOUT, SOLD_SCRAPE_TIMEOUT_MESSAGE);
+    const summary = await runMarketSummary(keywords, search, { refresh: wantsRefresh(req), signal: controller.signal });
+
+    if (res.headersSent) {
+        return;
+    }
+    if (exporting.format && summary.success) {
+        sendExport(res, keywords, { sold: summary.sold, active: summary.active }, summary.metrics, exporting);
+    } else {
+        res.json(summary);
+    }
+});
+
+// Run fn(signal) within the sold scrape budget, also aborting when `signal` does
+async function withScrapeBudget(signal, fn) {
+    const controller = timeoutController(SOLD_SCRAPE_TIMEOUT, SOLD_SCRAPE_TIMEOUT_MESSAGE);
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        return await fn(controller.signal);
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+        controller.clear();
+    }
+}
+
+// Market summary of a saved search, always fetched fresh
+async function runSavedSearch(saved, signal) {
+    const search = parseSearch(saved.options);
+    return withScrapeBudget(signal, (budgetSignal) => runMarketSummary(saved.keywords, search, { refresh: true, signal: budgetSignal }));
+}
+
+// How long a watch's sold median is re-used before the sold listings are scraped again
+const WATCH_SOLD_REFRESH_HOURS = parseFloat(process.env.WATCH_SOLD_REFRESH_HOURS) || 24;
+// Newest active listings compared on every check
+const WATCH_SAMPLE_SIZE = parseInt(process.env.WATCH_SAMPLE_SIZE) || 200;
+
+// Check a price watch: newest active listings against the sold median, new deals
+// delivered to the webhook and remembered so they are only reported once
+async function checkWatch(watch, signal) {
+    const search = parseSearch(watch.options);
+    return withScrapeBudget(signal, async (budgetSignal) => {
+        const soldAge = watch.soldCheckedAt ? Date.now() - new Date(watch.soldCheckedAt).getTime() : Infinity;
+        if (!watch.soldMedian || soldAge > WATCH_SOLD_REFRESH_HOURS * 3600 * 1000) {
+            const sold = await marketSummarySide('scrape-sold', search, watch.keywords, scrapeSoldListings, { signal: budgetSignal });
+            if (!sold.success) {
+                throw new Error(`Sold listings unavailable: ${sold.message}`);
+            }
+            await watchStore.update(watch.id, { soldMedian: sold.analytics.total.median, soldCheckedAt: new Date().toISOString() });
+        }
+        if (!(watch.soldMedian > 0)) {
+            throw new Error('No sold prices to compare with');
+        }
+
+        const newest = { ...search, sampling: { sampling: 'newest', sampleSize: WATCH_SAMPLE_SIZE } };
+        const active = await marketSummarySide('ebay-active', newest, watch.keywords, fetchActiveListings, { refresh: true, signal: budgetSignal });
+        if (!active.success) {
+            throw new Error(`Active listings unavailable: ${active.message}`);
+        }
+
+        const { threshold, deals } = findDeals(active.items, watch.soldMedian, watch.alert, watch.reportedItemIds);
+        console.log(`🔔 Watch ${watch.id}: ${deals.length} new deals at or under ${threshold} ${active.currency}`);
+        const url = webhookUrl(watch);
+        const webhook = deals.length > 0 && url
+            ? await deliverWebhook(url, {
+                watch: { id: watch.id, name: watch.name, keywords: watch.keywords },
+                currency: active.currency,
+                soldMedian: watch.soldMedian,
+                threshold: threshold,
+                deals: deals
+            }, budgetSignal)
+            : null;
+        await watchStore.update(watch.id, { reportedItemIds: rememberReported(watch.reportedItemIds, deals) });
+
+        return {
+            currency: active.currency,
+            soldMedian: watch.soldMedian,
+            threshold: threshold,
+            checked: active.items.length,
+            deals: deals,
+            webhook: webhook
+        };
+    });
+}
+
+const searchScheduler = new SearchScheduler(savedSearchStore, runSavedSearch, {
+    tickSeconds: parseInt(process.env.SAVED_SEARCH_TICK) || undefined
+});
+const watchScheduler = new SearchScheduler(watchStore, checkWatch, {
+    tickSeconds: parseInt(process.env.SAVED_SEARCH_TICK) || undefined,
+    toEntry: alertEntry
+});
+
+// Routes for a store of scheduled searches: list, create, get (with history), delete
+// and run now. `fields` names the body parameters that aren't search options and
+// parse(values) turns them into the fields a new entry stores (throws when invalid)
+function scheduledSearchRoutes(basePath, store, scheduler, jobType, fields = { names: [], parse: () => ({}) }) {
+    const notFound = `${store.label} not found`;
+
+    // Each entry with its latest run
+    app.get(basePath, async (req, res) => {
+        try {
+            const searches = await store.list();
+            res.json({ success: true, searches: searches.map(search => store.describe(search)) });
+        } catch (error) {
+            res.json({ success: false, message: `Could not load ${store.label.toLowerCase()} list: ${error.message}` });
+        }
+    });
+
+    // Save keywords plus search options ({ keywords, name, intervalHours, runNow, ...options });
+    // the options are validated like a search's and re-used on every run
+    app.post(basePath, async (req, res) => {
+        const { keywords, name, intervalHours, runNow, refresh, ...options } = { ...req.query, ...req.body };
+        const values = {};
+        fields.names.forEach(field => {
+            values[field] = options[field];
+            delete options[field];
+        });
+
+        if (!keywords) {
+            return res.json({ success: false, message: 'Keywords required' });
+        }
+
+        let stored;
+        try {
+            parseSearch(options);
+            parseIntervalHours(intervalHours);
+            stored = fields.parse(values);
+        } catch (error) {
+            return res.json({ success: false, message: error.message });
+        }
+
+        try {
+            const search = await store.create({
+                name: name,
+                keywords: keywords,
+                options: options,
+                intervalHours: intervalHours,
+                runNow: ['1', 'true'].includes(String(runNow).toLowerCase()),
+                fields: stored
+            });
+            if (search.nextRunAt <= new Date().toISOString()) {
+                scheduler.tick();
+            }
+            res.json({ success: true, search: store.describe(search) });
+        } catch (error) {
+            res.json({ success: false, message: `Could not save ${store.label.toLowerCase()}: ${error.message}` });
+        }
+    });
+
+    // One entry with its full history
+    app.get(`${basePath}/:id`, async (req, res) => {
+        let search;
+        try {
+            search = await store.get(req.params.id);
+        } catch (error) {
+            return res.json({ success: false, message: `Could not load ${store.label.toLowerCase()}: ${error.message}` });
+        }
+
+        if (!search) {
+            return res.status(404).json({ success: false, message: notFound });
+        }
+
+        res.json({ success: true, search: store.describe(search, { history: true }) });
+    });
+
+    app.delete(`${basePath}/:id`, async (req, res) => {
+        let removed;
+        try {
+            removed = await store.remove(req.params.id);
+        } catch (error) {
+            return res.json({ success: false, message: `Could not delete ${store.label.toLowerCase()}: ${error.message}` });
+        }
+
+        if (!removed) {
+            return res.status(404).json({ success: false, message: notFound });
+        }
+
+        res.json({ success: true, message: `${store.label} deleted` });
+    });
+
+    // Run now as a background job; the run is added to the history
+    app.post(`${basePath}/:id/run`, async (req, res) => {
+        let search;
+        try {
+            search = await store.get(req.params.id);
+        } catch (error) {
+            return res.json({ success: false, message: `Could not load ${store.label.toLowerCase()}: ${error.message}` });
+        }
+
+        if (!search) {
+            return res.status(404).json({ success: false, message: notFound });
+        }
+
+        const job = jobStore.create(jobType, { id: search.id, keywords: search.keywords }, async (reportProgress, signal) => {
+            reportProgress({ step: `Running ${store.label.toLowerCase()} "${search.name}"` });
+            const { summary, entry } = await scheduler.run(search, signal);
+            return { ...summary, entry: entry };
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
+    });
+}
+
+scheduledSearchRoutes('/api/saved-searches', savedSearchStore, searchScheduler, 'saved-search');
+
+// Price watches take belowPercent (default 70) and an optional webhookUrl
+scheduledSearchRoutes('/api/watches', watchStore, watchScheduler, 'watch-check', {
+    names: ['belowPercent', 'webhookUrl'],
+    parse: (values) => {
+        if (values.webhookUrl && !/^https?:\/\//i.test(values.webhookUrl)) {
+            throw new Error(`Invalid webhookUrl "${values.webhookUrl}" (expected an http or https URL)`);
+        }
+        return { alert: parseAlertOptions(values), webhookUrl: values.webhookUrl || null, reportedItemIds: [] };
+    }
+});
+
+// Notifications feed: deals found by every watch, newest first (?since= an ISO time, ?limit= default 50)
+app.get('/api/alerts', async (req, res) => {
+    const since = req.query.since ? new Date(req.query.since).getTime() : 0;
+    const limit = parseInt(req.query.limit) || 50;
+    if (isNaN(since)) {
+        return res.json({ success: false, message: `Invalid since "${req.query.since}" (expected an ISO date)` });
+    }
+
+    try {
+        const watches = await watchStore.list();
+        const alerts = [];
+        watches.forEach(watch => watch.history
+            .filter(entry => entry.deals && new Date(entry.runAt).getTime() > since)
+            .forEach(entry => entry.deals.forEach(deal => alerts.push({
+                ...deal,
+                foundAt: entry.runAt,
+                currency: entry.currency,
+                soldMedian: entry.soldMedian,
+                watch: { id: watch.id, name: watch.name, keywords: watch.keywords }
+            }))));
+        alerts.sort((a, b) => b.foundAt.localeCompare(a.foundAt));
+        res.json({ success: true, alerts: alerts.slice(0, limit), total: alerts.length });
+    } catch (error) {
+        res.json({ success: false, message: `Could not load alerts: ${error.message}` });
+    }
+});
+
+// Rows analyzed at once by a bulk analysis, and the most rows one upload may hold
+const BULK_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY) || 2;
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS) || 500;
+
+// Bulk analysis of a CSV of titles (title, optional cost, optional condition) as a
+// background job. The CSV is the request body (text/csv) or "csv" in a JSON body;
+// search options apply to every row, a row's condition replacing the condition filter.
+// Progress lists every row's status; the result links to a CSV download
+app.post('/api/bulk-analysis', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+    const uploaded = typeof req.body === 'string';
+    const source = uploaded ? req.query : { ...req.query, ...req.body };
+    const csv = uploaded ? req.body : source.csv;
+
+    if (!csv) {
+        return res.json({ success: false, message: 'CSV required (a text/csv body or "csv" in a JSON body)' });
+    }
+
+    let search;
+    let rows;
+    try {
+        search = parseSearch(source);
+        rows = parseBulkCsv(csv, BULK_MAX_ROWS);
+    } catch (error) {
+        return res.json({ success: false, message: error.message });
+    }
+
+    const refresh = wantsRefresh(req);
+    const analyzeRow = (row, signal) => {
+        const rowSearch = row.condition ? parseSearch({ ...source, condition: row.condition }) : search;
+        return withScrapeBudget(signal, (budgetSignal) => runMarketSummary(row.title, rowSearch, { refresh: refresh, signal: budgetSignal }));
+    };
+
+    const job = jobStore.create('bulk-analysis', { rows: rows.length, ...search }, async (reportProgress, signal) => {
+        const results = await runBulkAnalysis(rows, analyzeRow, { concurrency: BULK_CONCURRENCY, signal: signal, onProgress: reportProgress });
+        const failed = results.filter(result => result.error).length;
+        return {
+            success: true,
+            message: `Bulk analysis of ${results.length} rows${failed > 0 ? ` (${failed} with errors)` : ''}`,
+            rows: results,
+            csvUrl: `/api/bulk-analysis/${job.id}/csv`
+        };
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        rows: rows.length,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    });
+});
+
+// Results of a completed bulk analysis as a CSV download
+app.get('/api/bulk-analysis/:id/csv', (req, res) => {
+    const job = jobStore.get(req.params.id);
+
+    if (!job || job.type !== 'bulk-analysis') {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.json({ success: false, message: `Bulk analysis is ${job.status}` });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="bulk-analysis-${job.id.slice(0, 8)}.csv"`);
+    res.send(bulkCsv(job.result.rows));
+});
+
 app.get('/', (req, res) => {
     res.send(`
         <!DOCTYPE html>
@@ -1044,6 +761,28 @@ app.get('/', (req, res) => {
                     transition: all 0.2s ease;
                 }
                 button:hover { background: #2ea043; }
+                button.secondary { background: #30363d; }
+                button.secondary:hover { background: #3b434b; }
+                .saved-searches { margin: 0 0 25px; }
+                .saved-search {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 10px;
+                    background: #161b22;
+                    border: 1px solid #30363d;
+                    border-radius: 8px;
+                    padding: 8px 12px;
+                    margin-bottom: 6px;
+                    font-size: 14px;
+                }
+                .saved-search button { padding: 4px 10px; font-size: 13px; }
+                .export-links { display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 10px; }
+                .export-links a { padding: 4px 10px; font-size: 13px; background: #30363d; color: #c9d1d9; border-radius: 6px; text-decoration: none; }
+                .export-links a:hover { background: #3b434b; }
+                .history-table { width: 100%; border-collapse: collapse; font-size: 13px; margin-top: 10px; }
+                .history-table th, .history-table td { padding: 6px 8px; border-bottom: 1px solid #30363d; text-align: right; }
+                .history-table th:first-child, .history-table td:first-child { text-align: left; }
                 .results { margin-top: 30px; }
                 .analytics { 
                     background: #161b22; 
@@ -1072,10 +811,50 @@ app.get('/', (req, res) => {
                     font-size: 18px; 
                 }
                 .analytics-panel.used h4 { color: #ffd700; }
+                .analytics-panel .stat-detail { color: #8b949e; font-size: 13px; margin: 4px 0; }
                 .analytics-panel.new h4 { color: #3fb950; }
+                .analytics-panel.open_box h4 { color: #79c0ff; }
+                .analytics-panel.refurbished h4 { color: #d2a8ff; }
+                .analytics-panel.for_parts h4 { color: #f85149; }
+                .analytics-panel.unknown h4 { color: #8b949e; }
+                .analytics-panel.format h4 { color: #ffa657; }
                 .items-list { 
                     margin-top: 20px; 
                 }
+                .trend-chart {
+                    display: flex;
+                    align-items: flex-end;
+                    gap: 4px;
+                    height: 120px;
+                    margin-top: 10px;
+                }
+                .trend-week {
+                    flex: 1;
+                    display: flex;
+                    flex-direction: column;
+                    justify-content: flex-end;
+                    height: 100%;
+                    text-align: center;
+                    font-size: 10px;
+                    color: #8b949e;
+                }
+                .trend-bar { background: #58a6ff; border-radius: 3px 3px 0 0; min-height: 2px; }
+                .trend-week.empty .trend-bar { background: #30363d; }
+                .dist-chart {
+                    display: flex;
+                    align-items: stretch;
+                    gap: 2px;
+                    height: 160px;
+                    margin-top: 10px;
+                    border-bottom: 1px solid #30363d;
+                }
+                .dist-bin { flex: 1; position: relative; }
+                .dist-bar { position: absolute; bottom: 0; left: 0; right: 0; border-radius: 3px 3px 0 0; }
+                .dist-bar.sold { background: rgba(255, 215, 0, 0.55); }
+                .dist-bar.active { background: rgba(88, 166, 255, 0.55); }
+                .dist-axis { display: flex; justify-content: space-between; font-size: 11px; color: #8b949e; }
+                .dist-legend { font-size: 13px; color: #8b949e; margin: 0; }
+                .dist-legend span { display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; margin: 0 4px 0 10px; }
                 .item-card { 
                     background: #21262d; 
                     padding: 15px; 
@@ -1087,6 +866,9 @@ app.get('/', (req, res) => {
                     align-items: center; 
                 }
                 .item-details { flex: 1; }
+                .item-card.flagged { opacity: 0.55; border-style: dashed; }
+                .item-flag { color: #f0883e; font-size: 12px; margin-top: 3px; }
+                .relevance-note { color: #8b949e; font-size: 13px; margin: -8px 0 8px; }
                 .item-title { 
                     font-size: 16px; 
                     color: #58a6ff; 
@@ -1110,6 +892,53 @@ app.get('/', (req, res) => {
                     color: #8b949e; 
                     margin-top: 5px; 
                 }
+                .progress-panel { 
+                    text-align: center; 
+                    padding: 20px; 
+                }
+                .progress-bar { 
+                    max-width: 400px; 
+                    height: 10px; 
+                    margin: 10px auto; 
+                    background: #21262d; 
+                    border: 1px solid #30363d; 
+                    border-radius: 5px; 
+                    overflow: hidden; 
+                }
+                .progress-fill { 
+                    height: 100%; 
+                    background: #238636; 
+                    transition: width 0.3s ease; 
+                }
+                .progress-detail { 
+                    font-size: 14px; 
+                    color: #8b949e; 
+                }
+                .filters {
+                    display: flex;
+                    gap: 12px;
+                    flex-wrap: wrap;
+                    justify-content: center;
+                    align-items: center;
+                    margin: -15px 0 25px;
+                    font-size: 14px;
+                }
+                .filters label { display: flex; gap: 6px; align-items: center; }
+                .filters select, .filters input[type="number"] {
+                    padding: 6px 8px;
+                    font-size: 14px;
+                    background: #21262d;
+                    border: 1px solid #30363d;
+                    border-radius: 6px;
+                    color: #c9d1d9;
+                }
+                .filters input[type="number"] { width: 90px; }
+                .filters input.filter-text {
+                    width: 140px;
+                    padding: 6px 8px;
+                    font-size: 14px;
+                    border-radius: 6px;
+                }
                 @keyframes rainbow {
                     0% { background-position: 0% 50%; }
                     50% { background-position: 100% 50%; }
@@ -1129,7 +958,102 @@ app.get('/', (req, res) => {
             <div class="search-box">
                 <input type="text" id="searchInput" placeholder="Enter item title to search..." onkeypress="handleKeyPress(event)">
                 <button onclick="searchBoth()">GO</button>
+                <button onclick="saveSearch()" class="secondary" title="Save this search and re-run it on a schedule">⭐ Save</button>
+                <button onclick="watchSearch()" class="secondary" title="Get alerts for new listings priced well below the sold median">🔔 Watch</button>
+                <button onclick="document.getElementById('bulkFile').click()" class="secondary" title="Analyze a CSV of titles (title, cost, condition)">📦 Bulk CSV</button>
+                <input type="file" id="bulkFile" accept=".csv,text/csv" style="display: none;" onchange="uploadBulkCsv(this)">
+            </div>
+
+            <div class="filters">
+                <label>Site
+                    <select id="filterMarketplace">
+                        <option value="us">eBay US</option>
+                        <option value="uk">eBay UK</option>
+                        <option value="de">eBay DE</option>
+                        <option value="fr">eBay FR</option>
+                        <option value="it">eBay IT</option>
+                        <option value="es">eBay ES</option>
+                        <option value="ca">eBay CA</option>
+                        <option value="au">eBay AU</option>
+                    </select>
+                </label>
+                <label>Condition
+                    <select id="filterCondition">
+                        <option value="">Any</option>
+                        <option value="new">New</option>
+                        <option value="open_box">Open box</option>
+                        <option value="refurbished">Refurbished</option>
+                        <option value="used">Used</option>
+                        <option value="for_parts">For parts</option>
+                    </select>
+                </label>
+                <label>Price
+                    <input type="number" id="filterMinPrice" min="0" step="0.01" placeholder="Min">
+                    –
+                    <input type="number" id="filterMaxPrice" min="0" step="0.01" placeholder="Max">
+                </label>
+                <label>Category ID
+                    <input type="number" id="filterCategoryId" min="0" placeholder="Any">
+                </label>
+                <label>Format
+                    <select id="filterBuyingFormat">
+                        <option value="">Any</option>
+                        <option value="auction">Auction</option>
+                        <option value="buy_it_now">Buy It Now</option>
+                        <option value="best_offer">Best Offer</option>
+                    </select>
+                </label>
+                <label>Location
+                    <select id="filterLocation">
+                        <option value="">Default</option>
+                        <option value="domestic">Site's country</option>
+                        <option value="north_america">North America</option>
+                        <option value="worldwide">Worldwide</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" id="filterFreeShipping"> Free shipping</label>
+                <label>Exclude
+                    <input type="text" id="filterExclude" class="filter-text" placeholder="case, box only">
+                </label>
+                <label>Outliers
+                    <select id="filterOutliers">
+                        <option value="">Default</option>
+                        <option value="iqr">IQR fences</option>
+                        <option value="percentile">Trim 5% tails</option>
+                        <option value="none">Keep all</option>
+                    </select>
+                </label>
+                <label>Lots
+                    <select id="filterPricing">
+                        <option value="">Per unit</option>
+                        <option value="listing">Per listing</option>
+                    </select>
+                </label>
+                <label>Best offers
+                    <select id="filterBestOffer">
+                        <option value="">Estimate</option>
+                        <option value="exclude">Exclude</option>
+                    </select>
+                </label>
+                <label>Prices
+                    <select id="filterPriceBasis">
+                        <option value="">Item price</option>
+                        <option value="landed">Item + shipping</option>
+                        <option value="shipping">Shipping only</option>
+                    </select>
+                </label>
+                <label>Sample
+                    <input type="text" id="filterSampleSize" class="filter-text" placeholder="150 or all">
+                    <select id="filterSampling" title="How active listings are sampled">
+                        <option value="">Stratified</option>
+                        <option value="cheapest">Cheapest first</option>
+                    </select>
+                </label>
             </div>
+
+            <div id="alertsFeed" class="saved-searches"></div>
+            <div id="watches" class="saved-searches"></div>
+            <div id="savedSearches" class="saved-searches"></div>
             
             <div id="results"></div>
             
@@ -1140,6 +1064,60 @@ app.get('/', (req, res) => {
                     }
                 }
                 
+                // Selected marketplace and search filters, e.g. { marketplace: 'uk', condition: 'used', maxPrice: '50' }
+                function getFilters() {
+                    const filters = {};
+                    const fields = {
+                        marketplace: 'filterMarketplace',
+                        condition: 'filterCondition',
+                        minPrice: 'filterMinPrice',
+                        maxPrice: 'filterMaxPrice',
+                        categoryId: 'filterCategoryId',
+                        buyingFormat: 'filterBuyingFormat',
+                        location: 'filterLocation',
+                        outliers: 'filterOutliers',
+                        pricing: 'filterPricing',
+                        bestOffer: 'filterBestOffer',
+                        priceBasis: 'filterPriceBasis',
+                        sampling: 'filterSampling',
+                        sampleSize: 'filterSampleSize',
+                        exclude: 'filterExclude'
+                    };
+                    Object.keys(fields).forEach(name => {
+                        const value = document.getElementById(fields[name]).value.trim();
+                        if (value) {
+                            filters[name] = value;
+                        }
+                    });
+                    if (document.getElementById('filterFreeShipping').checked) {
+                        filters.freeShipping = 'true';
+                    }
+                    return filters;
+                }
+
+                // Amount in the currency of the search it came from
+                function money(amount, currency) {
+                    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' }).format(amount);
+                }
+
+                // Text safe to put into innerHTML, e.g. a name typed in by the user
+                function escapeHtml(text) {
+                    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+                    return String(text).replace(/[&<>"']/g, character => entities[character]);
+                }
+
+                // Link target for a listing URL; anything but http(s) (e.g. javascript:) links nowhere
+                function safeLink(url) {
+                    return /^https?:[/][/]/i.test(String(url)) ? escapeHtml(url) : '#';
+                }
+
+                // Query string for a search request: keywords plus the selected filters
+                function searchQuery(keywords) {
+                    const params = new URLSearchParams(getFilters());
+                    params.set('keywords', keywords);
+                    return params.toString();
+                }
+
                 async function searchBoth() {
                     const keywords = document.getElementById('searchInput').value;
                     const resultsDiv = document.getElementById('results');
@@ -1149,30 +1127,180 @@ app.get('/', (req, res) => {
                         return;
                     }
 
+                    // A new search replaces any sold scrape still running for the previous one
+                    cancelCurrentJob();
+                    const searchId = (window.searchId || 0) + 1;
+                    window.searchId = searchId;
+
                     // Show initial status
+                    window.soldProgress = null;
+                    window.activeStatus = null;
+                    window.progressVisible = true;
                     resultsDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><p>🔍 Starting comprehensive market analysis...</p></div>';
 
                     try {
-                        // Start both searches with status updates
-                        resultsDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><p>📊 Analyzing sold listings from eBay history...</p><p>🛒 Checking current active listings via eBay API...</p></div>';
-
-                        const [soldResponse, activeResponse] = await Promise.all([
-                            fetch('/api/scrape-sold?keywords=' + encodeURIComponent(keywords)),
-                            fetch('/api/ebay-active?keywords=' + encodeURIComponent(keywords))
-                        ]);
+                        // The sold scrape runs as a job so we can show its progress; the market summary
+                        // shares that scrape (identical searches are coalesced) and adds the active
+                        // listings and the sell-through metrics. The job is started first so the scrape
+                        // the summary joins is the one reporting progress
+                        updateProgress({ step: 'Starting sold listings scrape' }, 'running');
+                        const job = await startSoldJob(keywords);
+                        if (window.searchId !== searchId) {
+                            return;
+                        }
 
-                        resultsDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><p>📈 Processing market data and calculating analytics...</p></div>';
+                        window.summaryQuery = searchQuery(keywords);
+                        const summaryPromise = fetch('/api/market-summary?' + window.summaryQuery)
+                            .then(response => response.json())
+                            .then(data => {
+                                updateProgress(null, 'done');
+                                return data;
+                            });
 
-                        const soldData = await soldResponse.json();
-                        const activeData = await activeResponse.json();
+                        const [soldData, summary] = await Promise.all([
+                            followSoldJob(job),
+                            summaryPromise
+                        ]);
 
-                        displayBothResults(soldData, activeData);
+                        if (window.searchId !== searchId) {
+                            return;
+                        }
+                        window.progressVisible = false;
+                        if (!summary.active || !summary.active.success) {
+                            displayResults(soldData);
+                            resultsDiv.insertAdjacentHTML('afterbegin', '<p style="color: #cc0000;">Active listings unavailable: ' +
+                                (summary.active ? summary.active.message : summary.message) + '</p>');
+                            return;
+                        }
+                        displayBothResults(soldData, summary.active, summary.metrics);
                     } catch (error) {
+                        if (window.searchId !== searchId) {
+                            return;
+                        }
+                        window.progressVisible = false;
                         resultsDiv.innerHTML = '<p style="color: #cc0000;">Error: ' + error.message + '</p>';
                     }
                 }
                 
-                // Removed updateProgress function - not needed for simple status messages
+                // Submit a sold scrape job; it becomes the current job
+                async function startSoldJob(keywords) {
+                    const response = await fetch('/api/scrape-sold/jobs', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ...getFilters(), keywords: keywords })
+                    });
+                    const job = await response.json();
+                    if (!job.success) {
+                        throw new Error(job.message);
+                    }
+                    window.currentJob = job;
+                    return job;
+                }
+
+                // Resolve with a sold scrape job's result, following progress over SSE
+                function followSoldJob(job) {
+                    return new Promise((resolve, reject) => {
+                        const finish = (snapshot) => {
+                            if (window.currentJob === job) {
+                                window.currentJob = null;
+                            }
+                            if (snapshot.status === 'completed') {
+                                resolve(snapshot.result);
+                            } else {
+                                reject(new Error(snapshot.error || 'Sold listings scrape failed'));
+                            }
+                        };
+
+                        // Poll the job if the event stream is unavailable (e.g. dropped by a proxy)
+                        const poll = async () => {
+                            try {
+                                const snapshot = await (await fetch(job.statusUrl)).json();
+                                if (!snapshot.success) {
+                                    return reject(new Error(snapshot.message));
+                                }
+                                if (snapshot.status === 'running') {
+                                    if (window.currentJob === job) {
+                                        updateProgress(snapshot.progress);
+                                    }
+                                    setTimeout(poll, 2000);
+                                } else {
+                                    finish(snapshot);
+                                }
+                            } catch (error) {
+                                reject(error);
+                            }
+                        };
+
+                        if (!window.EventSource) {
+                            return poll();
+                        }
+
+                        const events = new EventSource(job.eventsUrl);
+                        events.addEventListener('progress', (event) => {
+                            if (window.currentJob === job) {
+                                updateProgress(JSON.parse(event.data).progress);
+                            }
+                        });
+                        ['completed', 'failed', 'cancelled'].forEach(type => {
+                            events.addEventListener(type, (event) => {
+                                events.close();
+                                finish(JSON.parse(event.data));
+                            });
+                        });
+                        events.onerror = () => {
+                            if (events.readyState !== EventSource.CLOSED) {
+                                events.close();
+                                poll();
+                            }
+                        };
+                    });
+                }
+                
+                // Stop the running sold scrape job, if any, so it does not keep a browser page busy
+                function cancelCurrentJob() {
+                    const job = window.currentJob;
+                    if (job) {
+                        window.currentJob = null;
+                        fetch(job.statusUrl, { method: 'DELETE', keepalive: true }).catch(() => {});
+                    }
+                }
+
+                // Leaving the page abandons the search
+                window.addEventListener('pagehide', cancelCurrentJob);
+                window.addEventListener('load', () => {
+                    loadSavedSearches();
+                    loadWatches();
+                    loadAlerts();
+                    setInterval(loadAlerts, 60000);
+                });
+                
+                // Render sold scrape progress; activeStatus is 'running' or 'done' for the API lookup
+                function updateProgress(progress, activeStatus) {
+                    if (!window.progressVisible) {
+                        return;
+                    }
+                    if (progress) {
+                        window.soldProgress = Object.assign(window.soldProgress || {}, progress);
+                    } else if (!window.soldProgress) {
+                        window.soldProgress = {};
+                    }
+                    if (activeStatus) {
+                        window.activeStatus = activeStatus;
+                    }
+
+                    const current = window.soldProgress;
+                    const sampleTarget = current.sampleTarget || 150;
+                    const collected = current.itemsCollected || 0;
+                    const percent = Math.min(100, Math.round((collected / sampleTarget) * 100));
+
+                    document.getElementById('results').innerHTML = '<div class="progress-panel">' +
+                        '<p>📊 ' + (current.step || 'Analyzing sold listings from eBay history...') + '</p>' +
+                        '<div class="progress-bar"><div class="progress-fill" style="width: ' + percent + '%;"></div></div>' +
+                        '<p class="progress-detail">Pages scraped: ' + (current.pagesScraped || 0) + (current.maxPages ? ' / ' + current.maxPages : '') +
+                            ' • Items collected: ' + collected + ' / ' + sampleTarget + '</p>' +
+                        '<p>' + (window.activeStatus === 'done' ? '✅ Active listings loaded via eBay API' : '🛒 Checking current active listings via eBay API...') + '</p>' +
+                    '</div>';
+                }
                 
                 async function searchSold() {
                     const keywords = document.getElementById('searchInput').value;
@@ -1186,7 +1314,7 @@ app.get('/', (req, res) => {
                     resultsDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><p>📊 Analyzing sold listings from eBay history...</p><p>⏳ This may take a moment as we scan through multiple pages...</p></div>';
 
                     try {
-                        const response = await fetch('/api/scrape-sold?keywords=' + encodeURIComponent(keywords));
+                        const response = await fetch('/api/scrape-sold?' + searchQuery(keywords));
                         const data = await response.json();
 
                         if (data.success) {
@@ -1211,7 +1339,7 @@ app.get('/', (req, res) => {
                     resultsDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><p>🛒 Checking current active listings via eBay API...</p><p>📊 Getting real-time market data and pricing...</p></div>';
 
                     try {
-                        const response = await fetch('/api/ebay-active?keywords=' + encodeURIComponent(keywords));
+                        const response = await fetch('/api/ebay-active?' + searchQuery(keywords));
                         const data = await response.json();
 
                         if (data.success) {
@@ -1224,42 +1352,550 @@ app.get('/', (req, res) => {
                     }
                 }
                 
+                // Median, spread and outlier lines for an analytics panel (older responses lack them)
+                function statLines(block, currency) {
+                    if (block.median === undefined || !block.sampleSize) {
+                        return '';
+                    }
+                    return '<p><strong>Median Price:</strong> ' + money(block.median, currency) + '</p>' +
+                        '<p><strong>Trimmed Mean:</strong> ' + money(block.trimmedMean, currency) + '</p>' +
+                        '<p class="stat-detail">Middle 50%: ' + money(block.q1, currency) + ' – ' + money(block.q3, currency) +
+                            ' • P10–P90: ' + money(block.p10, currency) + ' – ' + money(block.p90, currency) + '</p>' +
+                        '<p class="stat-detail">Std dev: ' + money(block.stdDev, currency) + ' • ' + block.sampleSize + ' prices' +
+                            (block.outliersExcluded ? ', ' + block.outliersExcluded + ' outliers excluded' : '') + '</p>';
+                }
+
+                // Analytics panel for one condition or format bucket, e.g. "🔧 Used (Sold)"
+                function bucketPanel(block, icon, className, currency, suffix) {
+                    return '<div class="analytics-panel ' + className + '">' +
+                        '<h4>' + icon + ' ' + block.label + (suffix ? ' (' + suffix + ')' : '') + '</h4>' +
+                        '<p><strong>Listings:</strong> ' + block.count + '</p>' +
+                        (block.averageBids !== undefined ? '<p><strong>Bids:</strong> ' + block.averageBids + ' average, ' + block.medianBids + ' median</p>' : '') +
+                        '<p><strong>Average Price:</strong> ' + money(block.average, currency) + '</p>' +
+                        '<p><strong>Highest Price:</strong> ' + money(block.highest, currency) + '</p>' +
+                        '<p><strong>Lowest Price:</strong> ' + money(block.lowest, currency) + '</p>' +
+                        statLines(block, currency) +
+                    '</div>';
+                }
+
+                // One panel per condition found
+                function conditionPanels(conditions, currency, suffix) {
+                    const icons = { new: '🆕', open_box: '📦', refurbished: '♻️', used: '🔧', for_parts: '🛠️', unknown: '❔' };
+                    return Object.keys(conditions || {}).map(key => bucketPanel(conditions[key], icons[conditions[key].group], conditions[key].group, currency, suffix)).join('');
+                }
+
+                // One panel per buying format found
+                function formatPanels(formats, currency, suffix) {
+                    const icons = { auction: '🔨', buy_it_now: '🏷️', best_offer: '🤝', unknown: '❔' };
+                    return Object.keys(formats || {}).map(key => bucketPanel(formats[key], icons[key], 'format', currency, suffix)).join('');
+                }
+
+                // " • Auction (12 bids)", " • Buy It Now" or " • Best Offer" after an item's condition
+                function formatLabel(item) {
+                    const labels = { auction: 'Auction', buy_it_now: 'Buy It Now', best_offer: 'Best Offer' };
+                    if (!labels[item.buyingFormat]) {
+                        return '';
+                    }
+                    const bids = item.buyingFormat === 'auction' && item.bidCount !== null ? ' (' + item.bidCount + (item.bidCount === 1 ? ' bid)' : ' bids)') : '';
+                    return ' • ' + labels[item.buyingFormat] + bids;
+                }
+
+                // Items flagged as irrelevant are listed dimmed, with the reasons they were left out
+                function itemCardClass(item) {
+                    return item.relevance && !item.relevance.relevant ? 'item-card flagged' : 'item-card';
+                }
+
+                function relevanceLabel(item) {
+                    if (!item.relevance || item.relevance.relevant) {
+                        return '';
+                    }
+                    return '<div class="item-flag">⚠️ Not counted: ' + item.relevance.reasons.join('; ') + '</div>';
+                }
+
+                // "Analytics use 120 relevant items (30 flagged)" under an analytics heading
+                function relevanceNote(relevance, label) {
+                    if (!relevance) {
+                        return '';
+                    }
+                    return '<p class="relevance-note">' + (label ? label + ': a' : 'A') + 'nalytics use ' + relevance.relevantItems + ' relevant items' +
+                        (relevance.flaggedItems ? ' (' + relevance.flaggedItems + ' flagged as accessories, excluded or off-topic)' : '') + '</p>';
+                }
+
+                // " • 📦 Lot of 10 • $4.50/unit" for multi-unit listings
+                function lotLabel(item, currency) {
+                    if (!item.lot) {
+                        return '';
+                    }
+                    return item.quantity > 1
+                        ? ' • 📦 Lot of ' + item.quantity + ' • ' + money(item.unitPrice, currency) + '/unit'
+                        : ' • 📦 Lot (size unknown)';
+                }
+
+                // Which price lots count with in the analytics
+                function lotNote(lots, label) {
+                    if (!lots || !lots.lotItems) {
+                        return '';
+                    }
+                    return '<p class="relevance-note">📦 ' + (label ? label + ': ' : '') + lots.lotItems + ' lot listings (' + lots.unitsInLots + ' units) priced ' +
+                        (lots.pricing === 'listing' ? 'per listing' : 'per unit') + '</p>';
+                }
+
+                // How the listings were sampled and how much of the result set the sample covers
+                function samplingNote(sampling, label) {
+                    if (!sampling || sampling.complete) {
+                        return '';
+                    }
+                    const methods = {
+                        stratified: 'stratified across ' + sampling.strata + ' price ranges',
+                        cheapest: 'cheapest listings only',
+                        pages: 'first ' + sampling.pagesScraped + ' of ' + sampling.availablePages + ' result pages'
+                    };
+                    return '<p class="relevance-note">🎲 ' + (label ? label + ': ' : '') + 'sampled ' + sampling.sampled + ' of ' + sampling.population +
+                        ' listings (' + sampling.coveragePercent + '%, ' + methods[sampling.method] + ')</p>';
+                }
+
+                // " • +$12.45 shipping" or " • Free shipping" when the listing shows its shipping
+                function shippingLabel(item) {
+                    if (!item.shipping) {
+                        return '';
+                    }
+                    return item.shipping === 'Free' ? ' • Free shipping' : ' • +' + item.shipping + ' shipping';
+                }
+
+                // Which price the analytics measure and how many items showed their shipping
+                function shippingNote(shipping, currency, label) {
+                    if (!shipping || shipping.freeShipping + shipping.paidShipping === 0) {
+                        return '';
+                    }
+                    const bases = { item: 'item prices', shipping: 'shipping costs', landed: 'landed prices (item + shipping)' };
+                    return '<p class="relevance-note">🚚 ' + (label ? label + ': a' : 'A') + 'nalytics use ' + bases[shipping.priceBasis] + ' • ' +
+                        shipping.freeShipping + ' free, ' + shipping.paidShipping + ' paid (average ' + money(shipping.averageShipping, currency) + ')' +
+                        (shipping.unknownShipping ? ', ' + shipping.unknownShipping + ' not shown' : '') + '</p>';
+                }
+
+                // " • 🤝 Best offer accepted (≈ $85.00)": the shown price is the struck-through list price
+                function bestOfferLabel(item, currency) {
+                    if (!item.bestOfferAccepted) {
+                        return '';
+                    }
+                    return ' • 🤝 Best offer accepted' + (item.estimatedPrice ? ' (≈ ' + money(item.estimatedPrice, currency) + ')' : ' (price not counted)');
+                }
+
+                // Share of sold items that were accepted Best Offers and how they were priced
+                function bestOfferNote(bestOffers) {
+                    if (!bestOffers || !bestOffers.acceptedItems) {
+                        return '';
+                    }
+                    return '<p class="relevance-note">🤝 ' + bestOffers.acceptedItems + ' sales (' + bestOffers.sharePercent + '%) were accepted Best Offers, ' +
+                        (bestOffers.bestOffer === 'exclude' ? 'left out of the prices' : 'counted at ' + Math.round(bestOffers.bestOfferRatio * 100) + '% of the list price') + '</p>';
+                }
+
+                // " • Sold 2025-10-12" for sold items that carry a sale date
+                function soldDateLabel(item) {
+                    return item.soldDate ? ' • Sold ' + item.soldDate : '';
+                }
+
+                // Weekly median sold price as a bar chart with the overall direction
+                function renderTrend(trend, currency) {
+                    if (!trend || trend.datedSales === 0) {
+                        return '';
+                    }
+
+                    const icons = { rising: '📈', falling: '📉', flat: '➡️' };
+                    const change = trend.changePercent !== null ? ' (' + (trend.changePercent > 0 ? '+' : '') + trend.changePercent + '% over the window)' : '';
+                    const highest = Math.max(...trend.weeks.map(week => week.median || 0));
+
+                    let html = '<div class="analytics">' +
+                        '<h3>' + (icons[trend.direction] || '📊') + ' Price Trend: ' + trend.direction + change + '</h3>' +
+                        '<p style="color: #8b949e; font-size: 13px; margin: 0;">Weekly median sold price over the last ' + trend.windowDays + ' days (' +
+                            trend.datedSales + ' dated sales' + (trend.undatedSales ? ', ' + trend.undatedSales + ' without a date' : '') + ')</p>' +
+                        '<div class="trend-chart">';
+
+                    trend.weeks.forEach(week => {
+                        const height = week.median && highest > 0 ? (week.median / highest) * 85 : 0;
+                        const label = week.median !== null ? money(week.median, currency) + ' median, ' + week.count + ' sold' : 'No sales';
+                        html += '<div class="trend-week' + (week.median === null ? ' empty' : '') + '" title="Week of ' + week.weekStart + ': ' + label + '">' +
+                            '<div class="trend-bar" style="height: ' + height + '%;"></div>' +
+                            '<div>' + week.weekStart.slice(5) + '</div>' +
+                        '</div>';
+                    });
+
+                    return html + '</div></div>';
+                }
+
+                // Save the keywords and selected filters; the server runs the search now and then on its interval
+                async function saveSearch() {
+                    const keywords = document.getElementById('searchInput').value.trim();
+                    const resultsDiv = document.getElementById('results');
+                    if (!keywords) {
+                        resultsDiv.innerHTML = '<p style="color: #cc0000;">Please enter search terms.</p>';
+                        return;
+                    }
+
+                    const response = await fetch('/api/saved-searches', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ...getFilters(), keywords: keywords, runNow: true })
+                    });
+                    const data = await response.json();
+                    if (!data.success) {
+                        resultsDiv.innerHTML = '<p style="color: #cc0000;">Could not save search: ' + data.message + '</p>';
+                        return;
+                    }
+                    loadSavedSearches();
+                }
+
+                // Saved searches with their latest run, above the results
+                async function loadSavedSearches() {
+                    const listDiv = document.getElementById('savedSearches');
+                    const data = await (await fetch('/api/saved-searches')).json();
+                    if (!data.success || data.searches.length === 0) {
+                        listDiv.innerHTML = '';
+                        return;
+                    }
+
+                    listDiv.innerHTML = '<h3>⭐ Saved Searches</h3>' + data.searches.map(search => {
+                        const latest = search.latest;
+                        const summary = !latest ? 'Not run yet' : !latest.success ? 'Last run failed' :
+                            (latest.sold ? 'Sold median ' + money(latest.sold.median, latest.currency) : 'Sold unavailable') + ' • ' +
+                            (latest.active ? 'Active median ' + money(latest.active.median, latest.currency) : 'Active unavailable') +
+                            (latest.sellThroughRate !== null ? ' • ' + latest.sellThroughRate + '% sell-through' : '');
+                        return '<div class="saved-search">' +
+                            '<div><strong>' + escapeHtml(search.name) + '</strong> <span class="item-condition">every ' + search.intervalHours + 'h • ' + search.runs + ' runs</span>' +
+                                '<div class="item-condition">' + summary + '</div></div>' +
+                            '<div>' +
+                                '<button class="secondary" data-id="' + search.id + '" onclick="showSearchHistory(this.dataset.id)">📈 History</button> ' +
+                                '<button class="secondary" data-id="' + search.id + '" onclick="runSavedSearchNow(this.dataset.id)">▶ Run now</button> ' +
+                                '<button class="secondary" data-id="' + search.id + '" onclick="deleteSavedSearch(this.dataset.id)">🗑</button>' +
+                            '</div>' +
+                        '</div>';
+                    }).join('');
+                }
+
+                // Start a run and refresh the list once its job has finished
+                async function runSavedSearchNow(id) {
+                    const job = await (await fetch('/api/saved-searches/' + id + '/run', { method: 'POST' })).json();
+                    if (!job.success) {
+                        document.getElementById('results').innerHTML = '<p style="color: #cc0000;">' + job.message + '</p>';
+                        return;
+                    }
+                    const poll = async () => {
+                        const snapshot = await (await fetch(job.statusUrl)).json();
+                        if (snapshot.success && snapshot.status === 'running') {
+                            setTimeout(poll, 3000);
+                            return;
+                        }
+                        loadSavedSearches();
+                    };
+                    setTimeout(poll, 3000);
+                }
+
+                async function deleteSavedSearch(id) {
+                    await fetch('/api/saved-searches/' + id, { method: 'DELETE' });
+                    loadSavedSearches();
+                }
+
+                // Watch the search for new active listings at or under a share of the sold median
+                async function watchSearch() {
+                    const keywords = document.getElementById('searchInput').value.trim();
+                    const resultsDiv = document.getElementById('results');
+                    if (!keywords) {
+                        resultsDiv.innerHTML = '<p style="color: #cc0000;">Please enter search terms.</p>';
+                        return;
+                    }
+                    const belowPercent = window.prompt('Alert on listings priced at or under what % of the sold median?', '70');
+                    if (belowPercent === null) {
+                        return;
+                    }
+
+                    const response = await fetch('/api/watches', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ...getFilters(), keywords: keywords, belowPercent: belowPercent, runNow: true })
+                    });
+                    const data = await response.json();
+                    if (!data.success) {
+                        resultsDiv.innerHTML = '<p style="color: #cc0000;">Could not watch search: ' + data.message + '</p>';
+                        return;
+                    }
+                    loadWatches();
+                }
+
+                // Price watches with their latest check
+                async function loadWatches() {
+                    const listDiv = document.getElementById('watches');
+                    const data = await (await fetch('/api/watches')).json();
+                    if (!data.success || data.searches.length === 0) {
+                        listDiv.innerHTML = '';
+                        return;
+                    }
+
+                    listDiv.innerHTML = '<h3>🔔 Price Watches</h3>' + data.searches.map(watch => {
+                        const latest = watch.latest;
+                        const summary = !latest ? 'Not checked yet' : !latest.success ? 'Last check failed: ' + escapeHtml(latest.errors[0].message) :
+                            'Alerting at or under ' + money(latest.threshold, latest.currency) + ' (sold median ' + money(latest.soldMedian, latest.currency) + ') • ' +
+                            latest.deals.length + ' new deals in ' + latest.checked + ' listings';
+                        return '<div class="saved-search">' +
+                            '<div><strong>' + escapeHtml(watch.name) + '</strong> <span class="item-condition">under ' + watch.alert.belowPercent + '% of sold median • every ' + watch.intervalHours + 'h</span>' +
+                                '<div class="item-condition">' + summary + '</div></div>' +
+                            '<div>' +
+                                '<button class="secondary" data-id="' + watch.id + '" onclick="checkWatchNow(this.dataset.id)">▶ Check now</button> ' +
+                                '<button class="secondary" data-id="' + watch.id + '" onclick="deleteWatch(this.dataset.id)">🗑</button>' +
+                            '</div>' +
+                        '</div>';
+                    }).join('');
+                }
+
+                async function checkWatchNow(id) {
+                    const job = await (await fetch('/api/watches/' + id + '/run', { method: 'POST' })).json();
+                    if (!job.success) {
+                        document.getElementById('results').innerHTML = '<p style="color: #cc0000;">' + job.message + '</p>';
+                        return;
+                    }
+                    const poll = async () => {
+                        const snapshot = await (await fetch(job.statusUrl)).json();
+                        if (snapshot.success && snapshot.status === 'running') {
+                            setTimeout(poll, 3000);
+                            return;
+                        }
+                        loadWatches();
+                        loadAlerts();
+                    };
+                    setTimeout(poll, 3000);
+                }
+
+                async function deleteWatch(id) {
+                    await fetch('/api/watches/' + id, { method: 'DELETE' });
+                    loadWatches();
+                }
+
+                // Notifications feed: the latest deals found by any watch
+                async function loadAlerts() {
+                    const feedDiv = document.getElementById('alertsFeed');
+                    const data = await (await fetch('/api/alerts?limit=10')).json();
+                    if (!data.success || data.alerts.length === 0) {
+                        feedDiv.innerHTML = '';
+                        return;
+                    }
+
+                    feedDiv.innerHTML = '<h3>🚨 Deals (' + data.total + ')</h3>' + data.alerts.map(alert =>
+                        '<div class="saved-search">' +
+                            '<div><a href="' + safeLink(alert.link) + '" target="_blank" class="item-title">' + escapeHtml(alert.title) + '</a>' +
+                                '<div class="item-condition">' + escapeHtml(alert.watch.name) + ' • ' + alert.percentOfMedian + '% of the ' + money(alert.soldMedian, alert.currency) +
+                                    ' sold median • found ' + new Date(alert.foundAt).toLocaleString() + '</div></div>' +
+                            '<div class="item-price">' + escapeHtml(alert.price) + '</div>' +
+                        '</div>'
+                    ).join('');
+                }
+
+                // A saved search's runs: sold median per run as bars, then every run in a table
+                async function showSearchHistory(id) {
+                    const resultsDiv = document.getElementById('results');
+                    const data = await (await fetch('/api/saved-searches/' + id)).json();
+                    if (!data.success) {
+                        resultsDiv.innerHTML = '<p style="color: #cc0000;">' + data.message + '</p>';
+                        return;
+                    }
+
+                    const search = data.search;
+                    const runs = search.history;
+                    const value = (side, field) => side ? side[field] : null;
+                    const show = (number, suffix) => number !== null && number !== undefined ? number + (suffix || '') : '–';
+                    const cell = (amount, currency) => amount !== null && amount !== undefined ? money(amount, currency) : '–';
+                    const highest = Math.max(0, ...runs.map(run => value(run.sold, 'median') || 0));
+
+                    let html = '<div class="analytics">' +
+                        '<h3>📈 ' + escapeHtml(search.name) + ': ' + runs.length + ' runs</h3>' +
+                        '<p style="color: #8b949e; font-size: 13px; margin: 0;">Sold median per run, every ' + search.intervalHours + 'h</p>' +
+                        '<div class="trend-chart">';
+                    runs.forEach(run => {
+                        const median = value(run.sold, 'median');
+                        const height = median && highest > 0 ? (median / highest) * 85 : 0;
+                        html += '<div class="trend-week' + (median ? '' : ' empty') + '" title="' + run.runAt + ': ' + cell(median, run.currency) + '">' +
+                            '<div class="trend-bar" style="height: ' + height + '%;"></div>' +
+                            '<div>' + run.runAt.slice(5, 10) + '</div>' +
+                        '</div>';
+                    });
+                    html += '</div>' +
+                        '<table class="history-table"><tr><th>Run</th><th>Sold</th><th>Sold median</th><th>Active</th><th>Active median</th>' +
+                            '<th>Sell-through</th><th>Months of supply</th><th>Price gap</th></tr>';
+                    runs.slice().reverse().forEach(run => {
+                        html += '<tr><td>' + new Date(run.runAt).toLocaleString() + (run.success ? '' : ' ❌') + '</td>' +
+                            '<td>' + show(value(run.sold, 'total')) + '</td><td>' + cell(value(run.sold, 'median'), run.currency) + '</td>' +
+                            '<td>' + show(value(run.active, 'total')) + '</td><td>' + cell(value(run.active, 'median'), run.currency) + '</td>' +
+                            '<td>' + show(run.sellThroughRate, '%') + '</td>' +
+                            '<td>' + show(run.monthsOfSupply) + '</td>' +
+                            '<td>' + (run.priceGapPercent > 0 ? '+' : '') + show(run.priceGapPercent, '%') + '</td></tr>';
+                    });
+                    resultsDiv.innerHTML = html + '</table></div>';
+                }
+
+                // Analyze every title in a CSV with the selected filters, showing each row's status as it goes
+                async function uploadBulkCsv(input) {
+                    const file = input.files[0];
+                    const resultsDiv = document.getElementById('results');
+                    input.value = '';
+                    if (!file) {
+                        return;
+                    }
+
+                    const response = await fetch('/api/bulk-analysis?' + new URLSearchParams(getFilters()).toString(), {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/csv' },
+                        body: await file.text()
+                    });
+                    const job = await response.json();
+                    if (!job.success) {
+                        resultsDiv.innerHTML = '<p style="color: #cc0000;">Could not start bulk analysis: ' + escapeHtml(job.message) + '</p>';
+                        return;
+                    }
+                    window.bulkJob = job;
+                    resultsDiv.innerHTML = '<div class="progress-panel"><p>📦 Starting bulk analysis of ' + job.rows + ' rows...</p></div>';
+
+                    const poll = async () => {
+                        if (window.bulkJob !== job) {
+                            return;
+                        }
+                        const snapshot = await (await fetch(job.statusUrl)).json();
+                        if (!snapshot.success) {
+                            resultsDiv.innerHTML = '<p style="color: #cc0000;">' + escapeHtml(snapshot.message) + '</p>';
+                        } else if (snapshot.status === 'running') {
+                            renderBulkProgress(snapshot.progress);
+                            setTimeout(poll, 2000);
+                        } else if (snapshot.status === 'completed') {
+                            renderBulkResults(snapshot.result);
+                        } else {
+                            resultsDiv.innerHTML = '<p style="color: #cc0000;">Bulk analysis ' + escapeHtml(snapshot.status) + ': ' + escapeHtml(snapshot.error) + '</p>';
+                        }
+                    };
+                    setTimeout(poll, 1000);
+                }
+
+                function cancelBulkAnalysis() {
+                    const job = window.bulkJob;
+                    if (job) {
+                        fetch(job.statusUrl, { method: 'DELETE' });
+                    }
+                }
+
+                function renderBulkProgress(progress) {
+                    const rows = progress.rows || [];
+                    const total = progress.rowsTotal || rows.length;
+                    const percent = total > 0 ? Math.round(((progress.rowsDone || 0) / total) * 100) : 0;
+                    const icons = { queued: '⏳', running: '🔄', done: '✅', partial: '⚠️', failed: '❌' };
+                    document.getElementById('results').innerHTML = '<div class="progress-panel">' +
+                        '<p>📦 Bulk analysis: ' + (progress.rowsDone || 0) + ' / ' + total + ' rows ' +
+                            '<button class="secondary" onclick="cancelBulkAnalysis()">✖ Cancel</button></p>' +
+                        '<div class="progress-bar"><div class="progress-fill" style="width: ' + percent + '%;"></div></div>' +
+                        '<table class="history-table"><tr><th>Title</th><th>Status</th></tr>' +
+                        rows.map(row => '<tr><td>' + row.row + '. ' + escapeHtml(row.title || '–') + '</td><td>' + icons[row.status] + ' ' + escapeHtml(row.status) + '</td></tr>').join('') +
+                        '</table>' +
+                    '</div>';
+                }
+
+                function renderBulkResults(result) {
+                    const show = (number, suffix) => number !== null && number !== undefined ? number + (suffix || '') : '–';
+                    const cell = (amount, currency) => amount !== null && amount !== undefined ? money(amount, currency) : '–';
+                    document.getElementById('results').innerHTML = '<div class="analytics">' +
+                        '<h3>📦 ' + escapeHtml(result.message) + '</h3>' +
+                        '<p><a href="' + escapeHtml(result.csvUrl) + '" download class="item-title">⬇ Download CSV</a></p>' +
+                        '<table class="history-table"><tr><th>Title</th><th>Cost</th><th>Sold</th><th>Sold median</th><th>Active</th>' +
+                            '<th>Sell-through</th><th>Margin</th><th>Error</th></tr>' +
+                        result.rows.map(row => '<tr><td>' + row.row + '. ' + escapeHtml(row.title || '–') + (row.condition ? ' <span class="item-condition">' + escapeHtml(row.condition) + '</span>' : '') + '</td>' +
+                            '<td>' + cell(row.cost, row.currency) + '</td>' +
+                            '<td>' + show(row.soldTotal) + '</td><td>' + cell(row.soldMedian, row.currency) + '</td>' +
+                            '<td>' + show(row.activeCount) + '</td>' +
+                            '<td>' + show(row.sellThroughRate, '%') + '</td>' +
+                            '<td>' + cell(row.margin, row.currency) + '</td>' +
+                            '<td style="color: #f85149;">' + escapeHtml(row.error || '') + '</td></tr>').join('') +
+                        '</table>' +
+                    '</div>';
+                }
+
+                // Sold and active price histograms overlaid on a shared grid. Each side is shown
+                // as a share of its own sample, since the two samples differ in size.
+                function renderDistribution(soldHistogram, activeHistogram, currency) {
+                    const histograms = [soldHistogram, activeHistogram].filter(histogram => histogram && histogram.bins.length > 0);
+                    if (histograms.length === 0) {
+                        return '';
+                    }
+
+                    // The coarser of the two widths; source bins are placed by their midpoint
+                    const width = Math.max(...histograms.map(histogram => histogram.binWidth));
+                    const midpoint = (bin) => (bin.min + bin.max) / 2;
+                    const start = Math.floor(Math.min(...histograms.map(histogram => midpoint(histogram.bins[0]))) / width) * width;
+                    const end = Math.max(...histograms.map(histogram => midpoint(histogram.bins[histogram.bins.length - 1])));
+                    const binCount = Math.floor((end - start) / width) + 1;
+
+                    const shares = (histogram) => {
+                        const counts = new Array(binCount).fill(0);
+                        if (!histogram || histogram.bins.length === 0) {
+                            return counts;
+                        }
+                        const total = histogram.bins.reduce((sum, bin) => sum + bin.count, 0);
+                        histogram.bins.forEach(bin => {
+                            const index = Math.min(Math.floor((midpoint(bin) - start) / width), binCount - 1);
+                            counts[index] += bin.count;
+                        });
+                        return counts.map(count => total > 0 ? (count / total) * 100 : 0);
+                    };
+                    const sold = shares(soldHistogram);
+                    const active = shares(activeHistogram);
+                    const highest = Math.max(...sold, ...active);
+
+                    let html = '<div class="analytics">' +
+                        '<h3>📊 Price Distribution</h3>' +
+                        '<p class="dist-legend">Share of each sample per price range:' +
+                            '<span style="background: rgba(255, 215, 0, 0.55);"></span>Sold' +
+                            '<span style="background: rgba(88, 166, 255, 0.55);"></span>Active</p>' +
+                        '<div class="dist-chart">';
+
+                    for (let index = 0; index < binCount; index++) {
+                        const low = start + index * width;
+                        const label = money(low, currency) + ' – ' + money(low + width, currency) + ': ' +
+                            sold[index].toFixed(1) + '% of sold, ' + active[index].toFixed(1) + '% of active';
+                        html += '<div class="dist-bin" title="' + label + '">' +
+                            '<div class="dist-bar sold" style="height: ' + (highest > 0 ? sold[index] / highest * 100 : 0) + '%;"></div>' +
+                            '<div class="dist-bar active" style="height: ' + (highest > 0 ? active[index] / highest * 100 : 0) + '%;"></div>' +
+                        '</div>';
+                    }
+
+                    return html + '</div>' +
+                        '<div class="dist-axis"><span>' + money(start, currency) + '</span><span>' + money(start + binCount * width, currency) + '</span></div>' +
+                    '</div>';
+                }
+
                 function displayResults(data) {
                     const resultsDiv = document.getElementById('results');
                     
                     let html = '<div class="analytics">' +
                         '<h3>📊 Sold Listings Analytics</h3>' +
+                        samplingNote(data.sampling) +
+                        relevanceNote(data.analytics.relevance) +
+                        lotNote(data.analytics.lots) +
+                        shippingNote(data.analytics.shipping, data.analytics.currency) +
+                        bestOfferNote(data.analytics.bestOffers) +
                         '<div class="analytics-grid">' +
-                            '<div class="analytics-panel used">' +
-                                '<h4>🔧 Used Items</h4>' +
-                                '<p><strong>Used Listings:</strong> ' + data.analytics.used.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + data.analytics.used.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + data.analytics.used.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + data.analytics.used.lowest.toFixed(2) + '</p>' +
-                            '</div>' +
-                            '<div class="analytics-panel new">' +
-                                '<h4>🆕 New Items</h4>' +
-                                '<p><strong>New Listings:</strong> ' + data.analytics.new.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + data.analytics.new.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + data.analytics.new.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + data.analytics.new.lowest.toFixed(2) + '</p>' +
-                            '</div>' +
+                            conditionPanels(data.analytics.conditions, data.analytics.currency) +
+                            formatPanels(data.analytics.formats, data.analytics.currency) +
                             '<div class="analytics-panel">' +
                                 '<h4>📈 Total Sold</h4>' +
                                 '<p><strong>Total Listings:</strong> ' + data.analytics.total.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + data.analytics.total.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + data.analytics.total.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + data.analytics.total.lowest.toFixed(2) + '</p>' +
+                                '<p><strong>Average Price:</strong> ' + money(data.analytics.total.average, data.analytics.currency) + '</p>' +
+                                '<p><strong>Highest Price:</strong> ' + money(data.analytics.total.highest, data.analytics.currency) + '</p>' +
+                                '<p><strong>Lowest Price:</strong> ' + money(data.analytics.total.lowest, data.analytics.currency) + '</p>' +
+                                statLines(data.analytics.total, data.analytics.currency) +
                             '</div>' +
                         '</div>' +
                     '</div>' +
+                    renderTrend(data.analytics.trend, data.analytics.currency) +
                     '<div class="items-list">';
                     
                     data.items.forEach(item => {
-                        html += '<div class="item-card">' +
+                        html += '<div class="' + itemCardClass(item) + '">' +
                             '<div class="item-details">' +
                                 '<a href="' + item.link + '" target="_blank" class="item-title">' + item.title + '</a>' +
-                                '<div class="item-condition">' + item.condition + '</div>' +
+                                '<div class="item-condition">' + item.condition + formatLabel(item) + soldDateLabel(item) + bestOfferLabel(item, data.currency) + shippingLabel(item) + lotLabel(item, data.currency) + relevanceLabel(item) + '</div>' +
                             '</div>' +
                             '<div class="item-price">' + item.price + '</div>' +
                         '</div>';
@@ -1274,37 +1910,30 @@ app.get('/', (req, res) => {
                     
                     let html = '<div class="analytics">' +
                         '<h3>🛒 Active Listings Analytics</h3>' +
+                        samplingNote(data.sampling) +
+                        relevanceNote(data.analytics.relevance) +
+                        lotNote(data.analytics.lots) +
+                        shippingNote(data.analytics.shipping, data.analytics.currency) +
                         '<div class="analytics-grid">' +
-                            '<div class="analytics-panel used">' +
-                                '<h4>🔧 Used Items</h4>' +
-                                '<p><strong>Used Listings:</strong> ' + data.analytics.used.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + data.analytics.used.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + data.analytics.used.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + data.analytics.used.lowest.toFixed(2) + '</p>' +
-                            '</div>' +
-                            '<div class="analytics-panel new">' +
-                                '<h4>🆕 New Items</h4>' +
-                                '<p><strong>New Listings:</strong> ' + data.analytics.new.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + data.analytics.new.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + data.analytics.new.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + data.analytics.new.lowest.toFixed(2) + '</p>' +
-                            '</div>' +
+                            conditionPanels(data.analytics.conditions, data.analytics.currency) +
+                            formatPanels(data.analytics.formats, data.analytics.currency) +
                             '<div class="analytics-panel">' +
                                 '<h4>🛒 Total Active</h4>' +
                                 '<p><strong>Total Listings:</strong> ' + data.analytics.total.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + data.analytics.total.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + data.analytics.total.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + data.analytics.total.lowest.toFixed(2) + '</p>' +
+                                '<p><strong>Average Price:</strong> ' + money(data.analytics.total.average, data.analytics.currency) + '</p>' +
+                                '<p><strong>Highest Price:</strong> ' + money(data.analytics.total.highest, data.analytics.currency) + '</p>' +
+                                '<p><strong>Lowest Price:</strong> ' + money(data.analytics.total.lowest, data.analytics.currency) + '</p>' +
+                                statLines(data.analytics.total, data.analytics.currency) +
                             '</div>' +
                         '</div>' +
                     '</div>' +
                     '<div class="items-list">';
                     
                     data.items.forEach(item => {
-                        html += '<div class="item-card">' +
+                        html += '<div class="' + itemCardClass(item) + '">' +
                             '<div class="item-details">' +
                                 '<a href="' + item.link + '" target="_blank" class="item-title">' + item.title + '</a>' +
-                                '<div class="item-condition">' + item.condition + ' • ' + item.timeLeft + '</div>' +
+                                '<div class="item-condition">' + item.condition + formatLabel(item) + shippingLabel(item) + lotLabel(item, data.currency) + relevanceLabel(item) + '</div>' +
                             '</div>' +
                             '<div class="item-price">' + item.price + '</div>' +
                         '</div>';
@@ -1327,20 +1956,23 @@ app.get('/', (req, res) => {
                             '<div class="analytics-panel">' +
                                 '<h4>🛒 Active Listings</h4>' +
                                 '<p><strong>Total Listings:</strong> ' + activeData.analytics.total.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + activeData.analytics.total.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + activeData.analytics.total.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + activeData.analytics.total.lowest.toFixed(2) + '</p>' +
+                                '<p><strong>Average Price:</strong> ' + money(activeData.analytics.total.average, activeData.analytics.currency) + '</p>' +
+                                '<p><strong>Highest Price:</strong> ' + money(activeData.analytics.total.highest, activeData.analytics.currency) + '</p>' +
+                                '<p><strong>Lowest Price:</strong> ' + money(activeData.analytics.total.lowest, activeData.analytics.currency) + '</p>' +
+                                statLines(activeData.analytics.total, activeData.analytics.currency) +
                             '</div>' +
+                            conditionPanels(activeData.analytics.conditions, activeData.analytics.currency) +
+                            formatPanels(activeData.analytics.formats, activeData.analytics.currency) +
                         '</div>' +
                     '</div>' +
                     '<div class="items-list">' +
                         '<h3>🛒 Active Listings</h3>';
                     
                     activeData.items.forEach(item => {
-                        html += '<div class="item-card">' +
+                        html += '<div class="' + itemCardClass(item) + '">' +
                             '<div class="item-details">' +
                                 '<a href="' + item.link + '" target="_blank" class="item-title">' + item.title + '</a>' +
-                                '<div class="item-condition">' + item.condition + ' • ' + item.timeLeft + '</div>' +
+                                '<div class="item-condition">' + item.condition + formatLabel(item) + shippingLabel(item) + lotLabel(item, activeData.currency) + relevanceLabel(item) + '</div>' +
                             '</div>' +
                             '<div class="item-price">' + item.price + '</div>' +
                         '</div>';
@@ -1363,20 +1995,23 @@ app.get('/', (req, res) => {
                             '<div class="analytics-panel">' +
                                 '<h4>🛒 Active Listings</h4>' +
                                 '<p><strong>Total Listings:</strong> ' + activeData.analytics.total.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + activeData.analytics.total.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + activeData.analytics.total.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + activeData.analytics.total.lowest.toFixed(2) + '</p>' +
+                                '<p><strong>Average Price:</strong> ' + money(activeData.analytics.total.average, activeData.analytics.currency) + '</p>' +
+                                '<p><strong>Highest Price:</strong> ' + money(activeData.analytics.total.highest, activeData.analytics.currency) + '</p>' +
+                                '<p><strong>Lowest Price:</strong> ' + money(activeData.analytics.total.lowest, activeData.analytics.currency) + '</p>' +
+                                statLines(activeData.analytics.total, activeData.analytics.currency) +
                             '</div>' +
+                            conditionPanels(activeData.analytics.conditions, activeData.analytics.currency) +
+                            formatPanels(activeData.analytics.formats, activeData.analytics.currency) +
                         '</div>' +
                     '</div>' +
                     '<div class="items-list">' +
                         '<h3>🛒 Active Listings</h3>';
                     
                     activeData.items.forEach(item => {
-                        html += '<div class="item-card">' +
+                        html += '<div class="' + itemCardClass(item) + '">' +
                             '<div class="item-details">' +
                                 '<a href="' + item.link + '" target="_blank" class="item-title">' + item.title + '</a>' +
-                                '<div class="item-condition">' + item.condition + ' • ' + item.timeLeft + '</div>' +
+                                '<div class="item-condition">' + item.condition + formatLabel(item) + shippingLabel(item) + lotLabel(item, activeData.currency) + relevanceLabel(item) + '</div>' +
                             '</div>' +
                             '<div class="item-price">' + item.price + '</div>' +
                         '</div>';
@@ -1386,7 +2021,18 @@ app.get('/', (req, res) => {
                     resultsDiv.innerHTML = html;
                 }
                 
-                function displayBothResults(soldData, activeData) {
+                // Download links for the market summary just shown; it is served from the result cache
+                function exportLinks(query) {
+                    const link = (params, label) => '<a href="/api/market-summary?' + query + '&' + params + '" download>' + label + '</a>';
+                    return '<div class="export-links">' +
+                        link('export=xlsx', '⬇ XLSX') +
+                        link('export=csv', '⬇ CSV items') +
+                        link('export=csv&sheet=summary', '⬇ CSV summary') +
+                        link('export=json', '⬇ JSON') +
+                    '</div>';
+                }
+
+                function displayBothResults(soldData, activeData, metrics) {
                     const resultsDiv = document.getElementById('results');
                     
                     // Store sold data globally for expand functionality
@@ -1394,43 +2040,44 @@ app.get('/', (req, res) => {
                     
                     let html = '<div class="analytics">' +
                         '<h3>📊 Complete Analytics</h3>' +
+                        exportLinks(window.summaryQuery) +
+                        samplingNote(soldData.sampling, 'Sold') +
+                        samplingNote(activeData.sampling, 'Active') +
+                        relevanceNote(soldData.analytics.relevance, 'Sold') +
+                        relevanceNote(activeData.analytics.relevance, 'Active') +
+                        lotNote(soldData.analytics.lots, 'Sold') +
+                        bestOfferNote(soldData.analytics.bestOffers) +
+                        shippingNote(soldData.analytics.shipping, soldData.analytics.currency, 'Sold') +
+                        shippingNote(activeData.analytics.shipping, activeData.analytics.currency, 'Active') +
+                        lotNote(activeData.analytics.lots, 'Active') +
                         '<div class="analytics-grid">' +
-                            '<div class="analytics-panel used">' +
-                                '<h4>🔧 Used Items (Sold)</h4>' +
-                                '<p><strong>Used Listings:</strong> ' + soldData.analytics.used.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + soldData.analytics.used.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + soldData.analytics.used.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + soldData.analytics.used.lowest.toFixed(2) + '</p>' +
-                            '</div>' +
-                            '<div class="analytics-panel new">' +
-                                '<h4>🆕 New Items (Sold)</h4>' +
-                                '<p><strong>New Listings:</strong> ' + soldData.analytics.new.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + soldData.analytics.new.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + soldData.analytics.new.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + soldData.analytics.new.lowest.toFixed(2) + '</p>' +
-                            '</div>' +
+                            conditionPanels(soldData.analytics.conditions, soldData.analytics.currency, 'Sold') +
+                            formatPanels(soldData.analytics.formats, soldData.analytics.currency, 'Sold') +
                             '<div class="analytics-panel">' +
                                 '<h4>📈 Total Sold</h4>' +
                                 '<p><strong>Total Listings:</strong> ' + soldData.analytics.total.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + soldData.analytics.total.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + soldData.analytics.total.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + soldData.analytics.total.lowest.toFixed(2) + '</p>' +
+                                '<p><strong>Average Price:</strong> ' + money(soldData.analytics.total.average, soldData.analytics.currency) + '</p>' +
+                                '<p><strong>Highest Price:</strong> ' + money(soldData.analytics.total.highest, soldData.analytics.currency) + '</p>' +
+                                '<p><strong>Lowest Price:</strong> ' + money(soldData.analytics.total.lowest, soldData.analytics.currency) + '</p>' +
+                                statLines(soldData.analytics.total, soldData.analytics.currency) +
                             '</div>' +
                             '<div class="analytics-panel" style="border: 2px solid #58a6ff;">' +
                                 '<h4>🛒 Active Listings</h4>' +
                                 '<p><strong>Total Active:</strong> ' + activeData.analytics.total.count + '</p>' +
-                                '<p><strong>Average Price:</strong> $' + activeData.analytics.total.average.toFixed(2) + '</p>' +
-                                '<p><strong>Highest Price:</strong> $' + activeData.analytics.total.highest.toFixed(2) + '</p>' +
-                                '<p><strong>Lowest Price:</strong> $' + activeData.analytics.total.lowest.toFixed(2) + '</p>' +
+                                '<p><strong>Average Price:</strong> ' + money(activeData.analytics.total.average, activeData.analytics.currency) + '</p>' +
+                                '<p><strong>Highest Price:</strong> ' + money(activeData.analytics.total.highest, activeData.analytics.currency) + '</p>' +
+                                '<p><strong>Lowest Price:</strong> ' + money(activeData.analytics.total.lowest, activeData.analytics.currency) + '</p>' +
+                                statLines(activeData.analytics.total, activeData.analytics.currency) +
                             '</div>' +
                         '</div>' +
                     '</div>' +
                     
-                    // Calculate and display sell-through rate within analytics
+                    // Display the server's sell-through rate, months of supply and price gap within analytics
                     (() => {
-                        const totalSold = soldData.totalSold || soldData.analytics.total.count;
-                        const totalActive = activeData.totalActive || activeData.analytics.total.count;
-                        const sellThroughRate = totalActive > 0 ? (totalSold / totalActive) * 100 : 0;
+                        const sellThroughRate = metrics.sellThroughRate || 0;
+                        const gap = metrics.priceGap;
+                        // Totals are null for a side that failed
+                        const total = (count) => count !== null && count !== undefined ? count.toLocaleString() : '–';
                         
                         // Determine color based on sellthrough rate
                         let color, bgColor;
@@ -1458,10 +2105,14 @@ app.get('/', (req, res) => {
                         return '<div class="analytics-panel" style="border: 1px solid ' + (sellThroughRate >= 100 ? '#58a6ff' : color) + '; background: ' + bgColor + '; text-align: center; padding: 15px; max-width: 200px; margin: 0 auto;">' +
                             '<h4 style="color: #58a6ff; margin: 0 0 8px 0; font-size: 14px;">📊 Sellthrough Rate</h4>' +
                             '<div style="font-size: 20px; font-weight: bold; color: ' + color + '; margin: 3px 0; ' + rainbowStyle + '">' + sellThroughRate.toFixed(1) + '%</div>' +
-                            '<div style="color: #8b949e; font-size: 10px;">' + totalSold.toLocaleString() + ' sold ÷ ' + totalActive.toLocaleString() + ' active</div>' +
+                            '<div style="color: #8b949e; font-size: 10px;">' + total(metrics.totalSold) + ' sold ÷ ' + total(metrics.totalActive) + ' active</div>' +
+                            (metrics.monthsOfSupply !== null ? '<div style="color: #8b949e; font-size: 10px;">' + metrics.monthsOfSupply + ' months of supply</div>' : '') +
+                            (gap ? '<div style="color: #8b949e; font-size: 10px;">Active median ' + (gap.percent >= 0 ? '+' : '') + gap.percent + '% vs sold</div>' : '') +
                         '</div>';
                     })() +
                     '</div>' +
+                    renderTrend(soldData.analytics.trend, soldData.analytics.currency) +
+                    renderDistribution(soldData.analytics.histogram, activeData.analytics.histogram, soldData.analytics.currency) +
                     
                     '<div class="items-list">' +
                         '<h3>📈 Sold Listings (Recent Sales)</h3>';
@@ -1469,10 +2120,10 @@ app.get('/', (req, res) => {
                     // Show only first 10 sold items
                     const soldItemsToShow = soldData.items.slice(0, 10);
                     soldItemsToShow.forEach(item => {
-                        html += '<div class="item-card">' +
+                        html += '<div class="' + itemCardClass(item) + '">' +
                             '<div class="item-details">' +
                                 '<a href="' + item.link + '" target="_blank" class="item-title">' + item.title + '</a>' +
-                                '<div class="item-condition">' + item.condition + '</div>' +
+                                '<div class="item-condition">' + item.condition + formatLabel(item) + soldDateLabel(item) + bestOfferLabel(item, soldData.currency) + shippingLabel(item) + lotLabel(item, soldData.currency) + relevanceLabel(item) + '</div>' +
                             '</div>' +
                             '<div class="item-price">' + item.price + '</div>' +
                         '</div>';
@@ -1497,10 +2148,10 @@ app.get('/', (req, res) => {
                     let html = '<h3>📈 Sold Listings (All ' + allItems.length + ' Items)</h3>';
                     
                             allItems.forEach((item, index) => {
-                        html += '<div class="item-card">' +
+                        html += '<div class="' + itemCardClass(item) + '">' +
                             '<div class="item-details">' +
                                 '<a href="' + item.link + '" target="_blank" class="item-title">' + item.title + '</a>' +
-                                '<div class="item-condition">' + item.condition + '</div>' +
+                                '<div class="item-condition">' + item.condition + formatLabel(item) + soldDateLabel(item) + bestOfferLabel(item, window.currentSoldData.currency) + shippingLabel(item) + lotLabel(item, window.currentSoldData.currency) + relevanceLabel(item) + '</div>' +
                                     '</div>' +
                             '<div class="item-price">' + item.price + '</div>' +
                                 '</div>';
@@ -1524,8 +2175,48 @@ app.get('/', (req, res) => {
     `);
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🔍 Title-Targeted eBay Scraper running at http://localhost:${PORT}`);
     console.log(`📱 Targets: span.su-styled-text.primary.default`);
     console.log(`🔗 Test: http://localhost:${PORT}`);
+    if (process.env.SAVED_SEARCH_SCHEDULER !== 'off') {
+        searchScheduler.start();
+        watchScheduler.start();
+    }
 });
+
+// Graceful shutdown: stop accepting connections, cancel running scrapes and
+// close Chrome so no browser processes outlive the server
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, shutting down...`);
+
+    const forceExit = setTimeout(() => {
+        console.error('❌ Shutdown timed out, exiting anyway');
+        process.exit(1);
+    }, 10000);
+    forceExit.unref();
+
+    server.close();
+    if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+    }
+
+    activeRequests.forEach(controller => controller.abort(new Error('Server shutting down')));
+    try {
+        await Promise.all([jobStore.cancelAll(), searchScheduler.stop(), watchScheduler.stop()]);
+        await browserPool.destroy();
+    } catch (error) {
+        console.error('❌ Error during shutdown:', error.message);
+    }
+
+    console.log('👋 Shutdown complete');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));